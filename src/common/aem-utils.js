@@ -0,0 +1,127 @@
+// src/common/aem-utils.js
+
+import { AEM_ADMIN_API_URL } from './global.js';
+import { daAdminRequest, mapWithConcurrency } from './utils.js';
+
+const AEM_CONCURRENCY = 3;
+const DEFAULT_REF = 'main';
+
+const AEM_ACTIONS = {
+  preview: { api: 'preview', method: 'POST' },
+  publish: { api: 'live', method: 'POST' },
+  unpublish: { api: 'live', method: 'DELETE' },
+  status: { api: 'status', method: 'GET' }
+};
+
+// Turns a DA path into the web path the admin API expects: documents lose
+// their .html extension and index documents map to their folder. Other
+// files (e.g. sheets as .json) keep their extension.
+export function toAemPath(path) {
+  const clean = path.startsWith('/') ? path : `/${path}`;
+  const webPath = clean.endsWith('.html') ? clean.slice(0, -'.html'.length) : clean;
+  return webPath === '/index' || webPath.endsWith('/index') ? webPath.slice(0, -'index'.length) : webPath;
+}
+
+export function formatAemURL(api, org, repo, path, ref = DEFAULT_REF) {
+  return `${AEM_ADMIN_API_URL}/${api}/${org}/${repo}/${ref}${toAemPath(path)}`;
+}
+
+function toResourceState(state) {
+  if (!state) return null;
+  return {
+    status: state.status ?? null,
+    url: state.url ?? null,
+    lastModified: state.lastModified ?? null,
+    ...(state.sourceLastModified ? { sourceLastModified: state.sourceLastModified } : {})
+  };
+}
+
+export async function aemRequest(action, org, repo, path, ref = DEFAULT_REF) {
+  const { api, method } = AEM_ACTIONS[action];
+  const response = await daAdminRequest(formatAemURL(api, org, repo, path, ref), { method });
+
+  return {
+    webPath: response?.webPath || toAemPath(path),
+    ...(response?.edit ? { edit: toResourceState(response.edit) } : {}),
+    ...(response?.preview ? { preview: toResourceState(response.preview) } : {}),
+    ...(response?.live ? { live: toResourceState(response.live) } : {})
+  };
+}
+
+// Runs an admin API action on each path. Failures are reported per path and
+// do not stop the others.
+export async function runAemAction(action, org, repo, paths, ref = DEFAULT_REF) {
+  const result = {
+    action,
+    ref,
+    summary: {
+      total: paths.length,
+      completed: 0,
+      failed: 0
+    },
+    paths: [],
+    errors: []
+  };
+
+  result.paths = await mapWithConcurrency(paths, AEM_CONCURRENCY, async (path) => {
+    try {
+      return { path, status: 'completed', ...(await aemRequest(action, org, repo, path, ref)) };
+    } catch (error) {
+      return { path, webPath: toAemPath(path), status: 'failed', error: error.message };
+    }
+  });
+
+  for (const item of result.paths) {
+    if (item.status === 'completed') {
+      result.summary.completed++;
+    } else {
+      result.summary.failed++;
+      result.errors.push(`${item.path}: ${item.error}`);
+    }
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+export function previewPaths(org, repo, paths, ref = DEFAULT_REF) {
+  return runAemAction('preview', org, repo, paths, ref);
+}
+
+// Publishing copies the previewed content, so paths are previewed first
+// (unless previewFirst is false) to publish what is currently in DA. A path
+// whose preview fails is not published.
+export async function publishPaths(org, repo, paths, ref = DEFAULT_REF, previewFirst = true) {
+  if (!previewFirst) {
+    return runAemAction('publish', org, repo, paths, ref);
+  }
+
+  const previewed = await runAemAction('preview', org, repo, paths, ref);
+  const ready = previewed.paths.filter(item => item.status === 'completed').map(item => item.path);
+  const published = await runAemAction('publish', org, repo, ready, ref);
+  const byPath = new Map(published.paths.map(item => [item.path, item]));
+
+  const result = {
+    action: 'publish',
+    ref,
+    summary: {
+      total: paths.length,
+      completed: published.summary.completed,
+      failed: previewed.summary.failed + published.summary.failed
+    },
+    paths: previewed.paths.map((item) => {
+      if (item.status === 'failed') {
+        return { ...item, failedStep: 'preview' };
+      }
+
+      const live = byPath.get(item.path);
+      return live.status === 'failed'
+        ? { ...live, preview: item.preview, failedStep: 'publish' }
+        : { ...live, preview: live.preview || item.preview };
+    }),
+    errors: [...previewed.errors, ...published.errors]
+  };
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
@@ -0,0 +1,278 @@
+// src/common/diff-utils.js
+
+import { createTwoFilesPatch, diffArrays } from 'diff';
+import { parsePage, findBlocks } from './page-model.js';
+import { parseMultiSheetJSON } from './library-cfg-utils.js';
+
+const LINE_BREAK_TAGS = /(<(?:body|header|main|footer|div|p|h[1-6]|ul|ol|li|table|tr|picture|source|img|hr|br|pre|blockquote)\b[^>]*>)/gi;
+
+// DA stores HTML with little or no line breaks, which makes line diffs useless.
+// Breaking before block-level opening tags gives one line per element for diffing only.
+export function toDiffLines(html) {
+  return html
+    .replace(/\r\n/g, '\n')
+    .replace(LINE_BREAK_TAGS, '\n$1')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() !== '')
+    .join('\n')
+    .concat('\n');
+}
+
+export function createUnifiedDiff(oldName, newName, before, after, { html = true, context = 2 } = {}) {
+  const oldText = html ? toDiffLines(before) : before;
+  const newText = html ? toDiffLines(after) : after;
+
+  return createTwoFilesPatch(oldName, newName, oldText, newText, '', '', { context });
+}
+
+function describeBlock(block) {
+  return block.variants.length > 0 ? `${block.name} (${block.variants.join(', ')})` : block.name;
+}
+
+function describeSection(section, index) {
+  return {
+    index,
+    blocks: section.content.filter(item => item.type === 'block').map(describeBlock),
+    defaultContent: section.content.filter(item => item.type === 'default').length
+  };
+}
+
+// Sections are aligned on their serialized content, so an inserted section
+// shows up as one addition instead of every following section changing.
+// A removal directly followed by an addition is reported as a change.
+function diffSections(before, after) {
+  const changes = diffArrays(
+    before.sections.map(section => JSON.stringify(section)),
+    after.sections.map(section => JSON.stringify(section))
+  );
+
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  let beforeIndex = 0;
+  let afterIndex = 0;
+
+  for (let i = 0; i < changes.length; i++) {
+    const change = changes[i];
+    const next = changes[i + 1];
+
+    if (change.removed && next?.added) {
+      const paired = Math.min(change.count, next.count);
+      for (let j = 0; j < paired; j++) {
+        result.changed.push({
+          before: describeSection(before.sections[beforeIndex + j], beforeIndex + j),
+          after: describeSection(after.sections[afterIndex + j], afterIndex + j)
+        });
+      }
+      for (let j = paired; j < change.count; j++) {
+        result.removed.push(describeSection(before.sections[beforeIndex + j], beforeIndex + j));
+      }
+      for (let j = paired; j < next.count; j++) {
+        result.added.push(describeSection(after.sections[afterIndex + j], afterIndex + j));
+      }
+      beforeIndex += change.count;
+      afterIndex += next.count;
+      i++;
+    } else if (change.removed) {
+      for (let j = 0; j < change.count; j++) {
+        result.removed.push(describeSection(before.sections[beforeIndex + j], beforeIndex + j));
+      }
+      beforeIndex += change.count;
+    } else if (change.added) {
+      for (let j = 0; j < change.count; j++) {
+        result.added.push(describeSection(after.sections[afterIndex + j], afterIndex + j));
+      }
+      afterIndex += change.count;
+    } else {
+      result.unchanged += change.count;
+      beforeIndex += change.count;
+      afterIndex += change.count;
+    }
+  }
+
+  return result;
+}
+
+// Blocks are matched by name and occurrence: the second "cards" block before
+// is compared with the second "cards" block after.
+function keyBlocks(model) {
+  const counts = {};
+  return new Map(findBlocks(model).map(block => {
+    counts[block.name] = (counts[block.name] || 0) + 1;
+    return [`${block.name}#${counts[block.name]}`, block];
+  }));
+}
+
+function diffBlocks(before, after) {
+  const beforeBlocks = keyBlocks(before);
+  const afterBlocks = keyBlocks(after);
+  const result = { added: [], removed: [], changed: [] };
+
+  for (const [key, block] of afterBlocks) {
+    const previous = beforeBlocks.get(key);
+
+    if (!previous) {
+      result.added.push({ key, block: describeBlock(block), rows: block.rows.length });
+      continue;
+    }
+
+    if (JSON.stringify(previous) === JSON.stringify(block)) continue;
+
+    const rowCount = Math.max(previous.rows.length, block.rows.length);
+    const changedRows = [];
+    for (let i = 0; i < rowCount; i++) {
+      if (JSON.stringify(previous.rows[i]) !== JSON.stringify(block.rows[i])) changedRows.push(i);
+    }
+
+    result.changed.push({
+      key,
+      before: describeBlock(previous),
+      after: describeBlock(block),
+      rowsBefore: previous.rows.length,
+      rowsAfter: block.rows.length,
+      changedRows
+    });
+  }
+
+  for (const [key, block] of beforeBlocks) {
+    if (!afterBlocks.has(key)) {
+      result.removed.push({ key, block: describeBlock(block), rows: block.rows.length });
+    }
+  }
+
+  return result;
+}
+
+function diffRecords(before, after) {
+  const result = { added: {}, removed: {}, changed: {} };
+
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      result.added[key] = value;
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      result.changed[key] = { before: before[key], after: value };
+    }
+  }
+
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after)) result.removed[key] = value;
+  }
+
+  return result;
+}
+
+export function diffPageStructure(beforeHTML, afterHTML) {
+  const before = parsePage(beforeHTML);
+  const after = parsePage(afterHTML);
+
+  return {
+    metadata: diffRecords(before.metadata, after.metadata),
+    sections: diffSections(before, after),
+    blocks: diffBlocks(before, after)
+  };
+}
+
+function getSheets(json) {
+  if (!json || typeof json !== 'object') return {};
+  if (json[':type'] === 'multi-sheet') return parseMultiSheetJSON(json);
+  return { data: json };
+}
+
+function getColumns(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  return columns;
+}
+
+function keyRows(rows, keyColumn, warnings, sheetName) {
+  const keyed = new Map();
+
+  rows.forEach((row, index) => {
+    const key = keyColumn ? String(row[keyColumn] ?? '') : String(index);
+    if (keyed.has(key)) {
+      warnings.push(`Sheet '${sheetName}': duplicate key '${key}' in column '${keyColumn}', only the first row is compared`);
+      return;
+    }
+    keyed.set(key, { index, row });
+  });
+
+  return keyed;
+}
+
+// Row-level diff keyed on keyColumn (default: the first column of the sheet).
+// Without a usable key column, rows are compared by position.
+function diffSheet(name, beforeRows, afterRows, keyColumn, warnings) {
+  const beforeColumns = getColumns(beforeRows);
+  const afterColumns = getColumns(afterRows);
+  const candidate = keyColumn || afterColumns[0] || beforeColumns[0] || null;
+  const key = candidate && (beforeColumns.includes(candidate) || afterColumns.includes(candidate)) ? candidate : null;
+
+  if (keyColumn && !key) {
+    warnings.push(`Sheet '${name}': key column '${keyColumn}' not found, rows compared by position`);
+  }
+
+  const beforeKeyed = keyRows(beforeRows, key, warnings, name);
+  const afterKeyed = keyRows(afterRows, key, warnings, name);
+  const result = {
+    keyColumn: key,
+    rowsBefore: beforeRows.length,
+    rowsAfter: afterRows.length,
+    columns: {
+      added: afterColumns.filter(column => !beforeColumns.includes(column)),
+      removed: beforeColumns.filter(column => !afterColumns.includes(column))
+    },
+    added: [],
+    removed: [],
+    changed: []
+  };
+
+  for (const [rowKey, { row }] of afterKeyed) {
+    const previous = beforeKeyed.get(rowKey);
+    if (!previous) {
+      result.added.push({ key: rowKey, row });
+      continue;
+    }
+
+    const fields = diffRecords(previous.row, row);
+    const changedColumns = {
+      ...fields.changed,
+      ...Object.fromEntries(Object.entries(fields.added).map(([column, value]) => [column, { before: null, after: value }])),
+      ...Object.fromEntries(Object.entries(fields.removed).map(([column, value]) => [column, { before: value, after: null }]))
+    };
+
+    if (Object.keys(changedColumns).length > 0) {
+      result.changed.push({ key: rowKey, changes: changedColumns });
+    }
+  }
+
+  for (const [rowKey, { row }] of beforeKeyed) {
+    if (!afterKeyed.has(rowKey)) result.removed.push({ key: rowKey, row });
+  }
+
+  return result;
+}
+
+export function diffSheetStructure(beforeJSON, afterJSON, keyColumn = null) {
+  const before = getSheets(beforeJSON);
+  const after = getSheets(afterJSON);
+  const warnings = [];
+  const sheets = {};
+
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!before[name]) {
+      sheets[name] = { status: 'added', rows: (after[name].data || []).length };
+    } else if (!after[name]) {
+      sheets[name] = { status: 'removed', rows: (before[name].data || []).length };
+    } else {
+      const diff = diffSheet(name, before[name].data || [], after[name].data || [], keyColumn, warnings);
+      const changed = diff.added.length + diff.removed.length + diff.changed.length
+        + diff.columns.added.length + diff.columns.removed.length > 0;
+      sheets[name] = { status: changed ? 'changed' : 'unchanged', ...diff };
+    }
+  }
+
+  return { sheets, warnings };
+}
@@ -0,0 +1,233 @@
+// src/common/html-utils.js
+
+// Minimal HTML tree parser/serializer for DA documents. DA stores well-formed
+// HTML, so this only handles what that HTML uses: elements, text, comments,
+// void elements and raw text (script/style). Text and attribute values are kept
+// entity-encoded as found, so unchanged nodes serialize back to the same bytes.
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'code', 'em', 'i', 'mark', 's', 'small',
+  'span', 'strong', 'sub', 'sup', 'u'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0'
+};
+
+const ATTRIBUTE_REGEX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+export function encodeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export function encodeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  let match;
+
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attrs[match[1].toLowerCase()] = value === undefined ? null : value.replace(/"/g, '&quot;');
+  }
+
+  return attrs;
+}
+
+export function createElement(tag, attrs = {}, children = []) {
+  return { type: 'element', tag, attrs, children };
+}
+
+export function createText(text) {
+  return { type: 'text', value: encodeText(text) };
+}
+
+export function parseHTML(html) {
+  const root = createElement('#root');
+  const stack = [root];
+  const tagRegex = /<!--([\s\S]*?)-->|<!([^>]*)>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let pos = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (value) => {
+    if (value) current().children.push({ type: 'text', value });
+  };
+
+  while ((match = tagRegex.exec(html)) !== null) {
+    pushText(html.slice(pos, match.index));
+    pos = tagRegex.lastIndex;
+
+    const [, comment, doctype, closeTag, openTag, attrSource] = match;
+
+    if (comment !== undefined) {
+      current().children.push({ type: 'comment', value: comment });
+    } else if (doctype !== undefined) {
+      current().children.push({ type: 'doctype', value: doctype });
+    } else if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack.length = index;
+      }
+    } else {
+      const tag = openTag.toLowerCase();
+      const selfClosing = /\/\s*$/.test(attrSource);
+      const element = createElement(tag, parseAttributes(attrSource.replace(/\/\s*$/, '')));
+      current().children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const closeIndex = html.toLowerCase().indexOf(`</${tag}`, pos);
+        const end = closeIndex === -1 ? html.length : closeIndex;
+        if (end > pos) element.children.push({ type: 'text', value: html.slice(pos, end) });
+        const closeEnd = closeIndex === -1 ? html.length : html.indexOf('>', closeIndex) + 1;
+        pos = closeEnd;
+        tagRegex.lastIndex = closeEnd;
+      } else if (!selfClosing && !VOID_ELEMENTS.has(tag)) {
+        stack.push(element);
+      }
+    }
+  }
+
+  pushText(html.slice(pos));
+  return root.children;
+}
+
+function serializeAttributes(attrs) {
+  return Object.entries(attrs)
+    .map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${value}"`))
+    .join('');
+}
+
+export function serializeNode(node) {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'comment') return `<!--${node.value}-->`;
+  if (node.type === 'doctype') return `<!${node.value}>`;
+
+  const open = `<${node.tag}${serializeAttributes(node.attrs)}>`;
+  if (VOID_ELEMENTS.has(node.tag)) return open;
+
+  return `${open}${serializeHTML(node.children)}</${node.tag}>`;
+}
+
+export function serializeHTML(nodes) {
+  return nodes.map(serializeNode).join('');
+}
+
+export function isElement(node, tag = null) {
+  return node?.type === 'element' && (!tag || node.tag === tag);
+}
+
+export function isVoidElement(tag) {
+  return VOID_ELEMENTS.has(tag);
+}
+
+export function isInlineElement(node) {
+  return isElement(node) && INLINE_ELEMENTS.has(node.tag);
+}
+
+export function isBlankText(node) {
+  return node.type === 'text' && node.value.trim() === '';
+}
+
+export function elementChildren(node) {
+  return node.children.filter(child => child.type === 'element');
+}
+
+export function getClassList(node) {
+  const className = node.attrs?.class;
+  return className ? decodeEntities(className).split(/\s+/).filter(Boolean) : [];
+}
+
+export function getAttribute(node, name) {
+  const value = node.attrs?.[name];
+  return value === undefined || value === null ? value : decodeEntities(value);
+}
+
+export function setAttribute(node, name, value) {
+  node.attrs[name] = value === null ? null : encodeAttribute(value);
+}
+
+export function findAll(nodes, predicate, results = []) {
+  for (const node of nodes) {
+    if (predicate(node)) results.push(node);
+    if (node.children) findAll(node.children, predicate, results);
+  }
+  return results;
+}
+
+export function findFirst(nodes, predicate) {
+  for (const node of nodes) {
+    if (predicate(node)) return node;
+    if (node.children) {
+      const found = findFirst(node.children, predicate);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+export function getTextContent(node) {
+  if (Array.isArray(node)) return node.map(getTextContent).join('');
+  if (node.type === 'text') return decodeEntities(node.value);
+  if (node.type !== 'element' || RAW_TEXT_ELEMENTS.has(node.tag)) return '';
+  return getTextContent(node.children);
+}
+
+// Text content with line breaks between block-level elements, so words of
+// adjacent paragraphs or cells are not glued together.
+export function getReadableText(node) {
+  const parts = [];
+
+  const walk = (current) => {
+    if (Array.isArray(current)) {
+      current.forEach(walk);
+    } else if (current.type === 'text') {
+      parts.push(decodeEntities(current.value));
+    } else if (current.type === 'element' && !RAW_TEXT_ELEMENTS.has(current.tag)) {
+      const inline = INLINE_ELEMENTS.has(current.tag);
+      if (!inline) parts.push('\n');
+      walk(current.children);
+      if (!inline) parts.push('\n');
+    }
+  };
+
+  walk(node);
+  return parts.join('')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n[\s]*/g, '\n')
+    .trim();
+}
@@ -8,8 +8,12 @@ function cleanPath(path) {
   return path.startsWith('/') ? path.slice(1) : path;
 }
 
-function createSheetStructure(data) {
+// Sets the rows and counts of a sheet. Any other sheet property of the base
+// sheet (e.g. :colWidths) is kept in place.
+function createSheetStructure(data, base = {}) {
+  const { data: previousData, ...properties } = base;
   return {
+    ...properties,
     total: data.length,
     limit: data.length,
     offset: 0,
@@ -17,6 +21,16 @@ function createSheetStructure(data) {
   };
 }
 
+// New rows follow the column order of the sheet, with empty cells for columns
+// they do not set
+function matchColumns(entry, data) {
+  const columns = Object.keys(data[0] || {});
+  return {
+    ...Object.fromEntries(columns.map(column => [column, ''])),
+    ...entry
+  };
+}
+
 export function buildLibraryPath(type, baseFolder, itemName = null) {
   if (!Object.values(LIBRARY_TYPES).includes(type)) {
     throw new Error(`Unknown library type: ${type}`);
@@ -40,9 +54,9 @@ export function getOptionsSheet(jsonData) {
   return jsonData?.options || null;
 }
 
-function createSheet(entries) {
+export function createSheet(entries, base = {}) {
   return {
-    ...createSheetStructure(entries),
+    ...createSheetStructure(entries, base),
     ':type': 'sheet'
   };
 }
@@ -54,7 +68,7 @@ export function createMultiSheetJSON(sheets) {
   for (const name of names) {
     const sheet = sheets[name];
     const rows = sheet.data || [];
-    out[name] = createSheetStructure(rows);
+    out[name] = createSheetStructure(rows, sheet);
   }
   
   out[':version'] = 3;
@@ -76,6 +90,43 @@ export function parseMultiSheetJSON(config) {
   return sheets;
 }
 
+function toSheetProperties(sheetJSON) {
+  const { ':type': type, ...sheet } = sheetJSON;
+  return sheet;
+}
+
+// Writes the given sheets ({ name: { data, ...properties } }) into an existing
+// sheet document. Sheets, sheet properties and document keys (e.g. :private)
+// that are not written stay as they were. A single-sheet document becomes
+// multi-sheet, with its sheet kept as "data", when another sheet is added.
+export function updateSheetDocument(existing, sheets) {
+  const names = Object.keys(sheets);
+  const isMultiSheet = existing?.[':type'] === 'multi-sheet';
+
+  if (!existing || !['sheet', 'multi-sheet'].includes(existing[':type'])) {
+    return names.length === 1 && names[0] === 'data'
+      ? createSheet(sheets.data.data || [], sheets.data)
+      : createMultiSheetJSON(sheets);
+  }
+
+  if (!isMultiSheet && names.every(name => name === 'data')) {
+    return createSheet(sheets.data.data || [], { ...existing, ...sheets.data });
+  }
+
+  const out = isMultiSheet ? { ...existing } : { data: toSheetProperties(existing) };
+  const existingNames = isMultiSheet ? (existing[':names'] || []) : ['data'];
+
+  for (const name of names) {
+    const sheet = { ...out[name], ...sheets[name] };
+    out[name] = createSheetStructure(sheet.data || [], sheet);
+  }
+
+  out[':version'] = out[':version'] ?? 3;
+  out[':names'] = [...existingNames, ...names.filter(name => !existingNames.includes(name))];
+  out[':type'] = 'multi-sheet';
+  return out;
+}
+
 function createDefaultBlockOptions() {
   return {
     data: [
@@ -108,12 +159,27 @@ function createDefaultBlockOptions() {
   };
 }
 
-export function createLibraryJSON(type, entries, optionsSheet = null) {
+// Builds a library sheet document. With an existing document only the data
+// sheet (and the options sheet, when given) is rewritten; everything else in
+// the document is kept.
+export function createLibraryJSON(type, entries, optionsSheet = null, existing = null) {
   if (!Object.values(LIBRARY_TYPES).includes(type)) {
     throw new Error(`Unknown library type: ${type}`);
   }
   
   const config = LIBRARY_CONFIG[type] || {};
+
+  if (existing) {
+    const sheets = { data: { data: entries } };
+
+    if (optionsSheet) {
+      sheets.options = optionsSheet;
+    } else if (config.hasOptions && !getOptionsSheet(existing)) {
+      sheets.options = createDefaultBlockOptions();
+    }
+
+    return updateSheetDocument(existing, sheets);
+  }
   
   if (config.multiSheet) {
     const sheets = {
@@ -137,17 +203,18 @@ export function addEntry(dataSheet, entry, keyField = 'name') {
   const existingIndex = data.findIndex(item => item[keyField] === entry[keyField]);
   
   if (existingIndex >= 0) {
-    data[existingIndex] = entry;
+    // Cells the entry does not set keep what authors put in them
+    data[existingIndex] = matchColumns({ ...data[existingIndex], ...entry }, data);
   } else {
-    data.push(entry);
+    data.push(matchColumns(entry, data));
   }
   
-  return createSheetStructure(data);
+  return createSheetStructure(data, dataSheet || {});
 }
 
 export function removeEntry(dataSheet, key, keyField = 'name') {
   const data = (dataSheet?.data || []).filter(item => item[keyField] !== key);
-  return createSheetStructure(data);
+  return createSheetStructure(data, dataSheet || {});
 }
 
 export function entryExists(dataSheet, key, keyField = 'name') {
@@ -0,0 +1,122 @@
+// src/common/link-utils.js
+
+import { parseHTML, findAll, isElement, getAttribute, getClassList, getTextContent } from './html-utils.js';
+import { walkTree } from './list-utils.js';
+
+const AEM_HOST_REGEX = /^[a-z0-9-]+--([a-z0-9-]+)--([a-z0-9-]+)\.(?:aem|hlx)\.(?:page|live)$/i;
+const SKIPPED_SCHEMES = /^(?:mailto|tel|javascript|data|sms|blob):/i;
+const RESOLVE_BASE = 'https://site.invalid';
+
+export const FRAGMENT_BLOCK = 'fragment';
+
+function isInsideFragmentBlock(ancestors) {
+  return ancestors.some(node => getClassList(node)[0] === FRAGMENT_BLOCK);
+}
+
+// Collects links, image sources and fragment references of a page. A link is
+// a fragment reference when it sits in a fragment block or points into a
+// /fragments/ folder.
+export function extractReferences(html) {
+  const references = [];
+
+  const walk = (nodes, ancestors) => {
+    for (const node of nodes) {
+      if (!isElement(node)) continue;
+
+      if (node.tag === 'a' && getAttribute(node, 'href')) {
+        const href = getAttribute(node, 'href').trim();
+        const fragment = isInsideFragmentBlock(ancestors) || /\/fragments\//.test(href);
+        references.push({ type: fragment ? 'fragment' : 'link', url: href, text: getTextContent(node).trim() });
+      } else if (node.tag === 'img' && getAttribute(node, 'src')) {
+        references.push({ type: 'image', url: getAttribute(node, 'src').trim(), text: getAttribute(node, 'alt') ?? '' });
+      } else if (node.tag === 'source' && getAttribute(node, 'srcset')) {
+        for (const candidate of getAttribute(node, 'srcset').split(',')) {
+          const url = candidate.trim().split(/\s+/)[0];
+          if (url) references.push({ type: 'image', url, text: '' });
+        }
+      }
+
+      walk(node.children, [...ancestors, node]);
+    }
+  };
+
+  walk(parseHTML(html), []);
+  return references;
+}
+
+function safeDecode(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+// Maps a URL found on a page to a site path, or returns null for external
+// URLs. Handles relative URLs, content.da.live, da.live/edit, aem.page/live
+// preview hosts of the same org/repo and any extra site hosts.
+export function resolveSitePath(url, { org, repo, pagePath = '/', siteHosts = [] }) {
+  if (!url || url.startsWith('#') || SKIPPED_SCHEMES.test(url)) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url, `${RESOLVE_BASE}${pagePath}`);
+  } catch {
+    return null;
+  }
+
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  const host = parsed.hostname.toLowerCase();
+  const pathname = safeDecode(parsed.pathname);
+
+  if (parsed.origin === RESOLVE_BASE) return pathname;
+
+  if (host === 'content.da.live') {
+    const prefix = `/${org}/${repo}`.toLowerCase();
+    const lower = pathname.toLowerCase();
+    return lower === prefix || lower.startsWith(`${prefix}/`) ? pathname.slice(prefix.length) || '/' : null;
+  }
+
+  if (host === 'da.live' && parsed.hash.startsWith('#/')) {
+    const [, hashOrg, hashRepo, ...rest] = safeDecode(parsed.hash.slice(1)).split('/');
+    const sameSite = hashOrg?.toLowerCase() === org.toLowerCase() && hashRepo?.toLowerCase() === repo.toLowerCase();
+    return sameSite ? `/${rest.join('/')}` : null;
+  }
+
+  const aemHost = host.match(AEM_HOST_REGEX);
+  if (aemHost) {
+    return aemHost[1] === repo.toLowerCase() && aemHost[2] === org.toLowerCase() ? pathname : null;
+  }
+
+  if (siteHosts.some(siteHost => siteHost.toLowerCase() === host)) return pathname;
+
+  return null;
+}
+
+// Index of every file in the site, used to check link targets without
+// requesting them. Lookups are case-insensitive like published URLs.
+export async function buildSiteIndex(org, repo, path = '/') {
+  const { items } = await walkTree(org, repo, path);
+  const files = new Map();
+
+  for (const item of items) {
+    files.set(item.path.toLowerCase(), item.path);
+  }
+
+  return files;
+}
+
+// Returns the file a site path points to: the path itself, the page behind an
+// extensionless URL, or the index page of a folder URL
+export function findTarget(siteIndex, sitePath) {
+  const path = sitePath.toLowerCase().replace(/\/{2,}/g, '/');
+  const candidates = path.endsWith('/')
+    ? [`${path}index.html`]
+    : [path, `${path}.html`, `${path.replace(/\.html?$/, '')}.html`, `${path}/index.html`];
+
+  for (const candidate of candidates) {
+    if (siteIndex.has(candidate)) return siteIndex.get(candidate);
+  }
+  return null;
+}
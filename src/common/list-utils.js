@@ -0,0 +1,219 @@
+// src/common/list-utils.js
+
+import { daAdminRequest, formatURL } from './utils.js';
+
+const GLOB_CHARS = /[*?{]/;
+
+export function cleanSitePath(path) {
+  if (!path || path === '/') return '';
+  return `/${path.replace(/^\/+|\/+$/g, '')}`;
+}
+
+export function toSitePath(org, repo, itemPath) {
+  const prefix = `/${org}/${repo}`;
+  return itemPath.startsWith(prefix) ? itemPath.slice(prefix.length) : itemPath;
+}
+
+export function isFolder(item) {
+  return !item.ext;
+}
+
+export function globToRegExp(glob) {
+  let pattern = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more folders, a trailing "**" matches everything
+        if (glob[i + 2] === '/') {
+          pattern += '(?:.*/)?';
+          i += 2;
+        } else {
+          pattern += '.*';
+          i += 1;
+        }
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      pattern += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      pattern += ')';
+    } else if (char === ',' && inGroup) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+function createFolderMatcher(folders) {
+  const matchers = (folders || []).map(folder => {
+    if (GLOB_CHARS.test(folder)) {
+      return globToRegExp(folder.startsWith('/') ? folder : `/${folder}`);
+    }
+    return cleanSitePath(folder);
+  });
+
+  return (path) => matchers.some(matcher => (
+    matcher instanceof RegExp
+      ? matcher.test(path)
+      : path === matcher || path.startsWith(`${matcher}/`)
+  ));
+}
+
+// Tells whether a folder can hold an included path: it is inside an included
+// folder or on the way to one. For globs, the folders before the first
+// wildcard decide.
+function createIncludeScope(folders) {
+  const bases = folders.map((folder) => {
+    const path = folder.startsWith('/') ? folder : `/${folder}`;
+    const wildcard = path.search(GLOB_CHARS);
+    return cleanSitePath(wildcard < 0 ? path : path.slice(0, path.lastIndexOf('/', wildcard)));
+  });
+
+  return (path) => bases.some(base => (
+    path === base || path.startsWith(`${base}/`) || base.startsWith(`${path}/`)
+  ));
+}
+
+function createFileFilter({ extensions = null, glob = null, includeFolders = null } = {}) {
+  const extensionSet = extensions?.length ? new Set(extensions.map(ext => ext.replace(/^\./, '').toLowerCase())) : null;
+  const globRegex = glob ? globToRegExp(glob.startsWith('/') ? glob : `/${glob}`) : null;
+  const isIncluded = includeFolders?.length ? createFolderMatcher(includeFolders) : null;
+
+  // Glob folders only match folder paths, so every folder of the file is tried
+  const isInIncludedFolder = (path) => {
+    let folder = path;
+    do {
+      folder = folder.slice(0, folder.lastIndexOf('/'));
+      if (isIncluded(folder)) return true;
+    } while (folder);
+    return false;
+  };
+
+  return (item) => {
+    if (extensionSet && !extensionSet.has((item.ext || '').toLowerCase())) return false;
+    if (globRegex && !globRegex.test(item.path)) return false;
+    if (isIncluded && !isInIncludedFolder(item.path)) return false;
+    return true;
+  };
+}
+
+// Tells whether walkTree(path, options) would list a file, without listing:
+// the file filters apply and none of its folders below path is excluded
+export function createFileMatcher(path, options = {}) {
+  const root = cleanSitePath(path);
+  const matchesFile = createFileFilter(options);
+  const isExcluded = createFolderMatcher(options.excludeFolders);
+
+  return (item) => {
+    if (!item.path.startsWith(`${root}/`) || !matchesFile(item)) return false;
+
+    for (let folder = item.path.slice(0, item.path.lastIndexOf('/')); folder.length > root.length; folder = folder.slice(0, folder.lastIndexOf('/'))) {
+      if (isExcluded(folder)) return false;
+    }
+    return true;
+  };
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (!Array.isArray(state.queue)) throw new Error('missing queue');
+    return state;
+  } catch (error) {
+    throw new Error(`Invalid cursor: ${error.message}`);
+  }
+}
+
+export async function listFolder(org, repo, path) {
+  const url = formatURL('list', org, repo, cleanSitePath(path));
+  const result = await daAdminRequest(url);
+
+  if (!Array.isArray(result)) return [];
+
+  return result
+    .map(item => ({
+      ...item,
+      path: toSitePath(org, repo, item.path)
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Breadth-first walk of a content tree. The cursor stores the pending folder
+// queue plus how many entries of the first folder were already consumed, so a
+// walk can be resumed without keeping any state on the server.
+export async function walkTree(org, repo, path, options = {}) {
+  const {
+    maxDepth = null,
+    extensions = null,
+    glob = null,
+    includeFolders = null,
+    excludeFolders = null,
+    limit = null,
+    cursor = null
+  } = options;
+
+  const matchesFile = createFileFilter({ extensions, glob, includeFolders });
+  const isExcluded = createFolderMatcher(excludeFolders);
+  const inScope = includeFolders?.length ? createIncludeScope(includeFolders) : () => true;
+
+  const state = cursor
+    ? decodeCursor(cursor)
+    : { queue: [{ path: cleanSitePath(path), depth: 0 }], offset: 0 };
+
+  const items = [];
+  let foldersVisited = 0;
+
+  while (state.queue.length > 0) {
+    if (limit && items.length >= limit) {
+      return { items, foldersVisited, nextCursor: encodeCursor(state) };
+    }
+
+    const folder = state.queue[0];
+    const entries = await listFolder(org, repo, folder.path);
+    foldersVisited++;
+
+    while (state.offset < entries.length) {
+      if (limit && items.length >= limit) {
+        return { items, foldersVisited, nextCursor: encodeCursor(state) };
+      }
+
+      const entry = entries[state.offset];
+      state.offset++;
+
+      if (isFolder(entry)) {
+        const withinDepth = maxDepth === null || folder.depth < maxDepth;
+        if (withinDepth && !isExcluded(entry.path) && inScope(entry.path)) {
+          state.queue.push({ path: entry.path, depth: folder.depth + 1 });
+        }
+      } else if (matchesFile(entry)) {
+        items.push({ ...entry, depth: folder.depth });
+      }
+    }
+
+    state.queue.shift();
+    state.offset = 0;
+  }
+
+  return { items, foldersVisited, nextCursor: null };
+}
+
+export async function listFilesRecursive(org, repo, path, options = {}) {
+  const { items } = await walkTree(org, repo, path, options);
+  return items;
+}
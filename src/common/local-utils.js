@@ -0,0 +1,112 @@
+// src/common/local-utils.js
+
+import { promises as fs } from 'fs';
+import { resolve, relative, sep, dirname, extname, isAbsolute } from 'path';
+import { globToRegExp } from './list-utils.js';
+
+export const MANIFEST_FILE = 'da-manifest.json';
+
+export const MEDIA_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  pdf: 'application/pdf',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime'
+};
+
+const GLOB_CHARS = /[*?{]/;
+
+export function getMimeType(filePath) {
+  return MEDIA_MIME_TYPES[extname(filePath).slice(1).toLowerCase()] || null;
+}
+
+export function resolveLocalPath(rootDir, sitePath) {
+  const root = resolve(rootDir);
+  const target = resolve(root, `.${sitePath.startsWith('/') ? sitePath : `/${sitePath}`}`);
+
+  if (target !== root && !target.startsWith(`${root}${sep}`)) {
+    throw new Error(`Path '${sitePath}' resolves outside of ${root}`);
+  }
+
+  return target;
+}
+
+export function toSiteRelativePath(rootDir, localPath) {
+  return `/${relative(resolve(rootDir), localPath).split(sep).join('/')}`;
+}
+
+export async function writeLocalFile(localPath, data) {
+  await fs.mkdir(dirname(localPath), { recursive: true });
+  await fs.writeFile(localPath, data);
+}
+
+export async function listLocalFiles(rootDir) {
+  const root = resolve(rootDir);
+  const files = [];
+  const folders = [root];
+
+  while (folders.length > 0) {
+    const folder = folders.shift();
+    const entries = await fs.readdir(folder, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = resolve(folder, entry.name);
+      if (entry.isDirectory()) {
+        folders.push(fullPath);
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  return files.sort();
+}
+
+export async function readManifest(rootDir) {
+  try {
+    const content = await fs.readFile(resolve(rootDir, MANIFEST_FILE), 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+export async function writeManifest(rootDir, manifest) {
+  await writeLocalFile(resolve(rootDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Expands local file paths and globs (e.g., "./assets/**/*.svg") into absolute
+// file paths. The walk starts at the folder before the first glob segment.
+export async function expandLocalPaths(patterns, cwd = process.cwd()) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(sep).join('/');
+
+    if (!GLOB_CHARS.test(normalized)) {
+      files.add(resolve(cwd, pattern));
+      continue;
+    }
+
+    const segments = normalized.split('/');
+    const globIndex = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, globIndex).join('/') || (isAbsolute(normalized) ? '/' : '.');
+    const matcher = globToRegExp(`/${segments.slice(globIndex).join('/')}`);
+    const baseDir = resolve(cwd, base);
+
+    for (const file of await listLocalFiles(baseDir)) {
+      if (matcher.test(toSiteRelativePath(baseDir, file))) {
+        files.add(file);
+      }
+    }
+  }
+
+  return [...files];
+}
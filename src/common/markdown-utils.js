@@ -0,0 +1,689 @@
+// src/common/markdown-utils.js
+
+// Converts DA documents to Markdown and back. Sections are separated by "---"
+// and blocks become tables whose header row holds the block name and variants,
+// e.g. "| Cards (two, dark) |  |". Whatever Markdown cannot express is kept as
+// inline HTML tags. Every converted chunk is parsed back and compared with the
+// original, falling back to more HTML until it matches, so the conversion does
+// not lose information.
+
+import {
+  parseHTML,
+  serializeNode,
+  decodeEntities,
+  encodeText,
+  encodeAttribute,
+  isElement,
+  isBlankText,
+  isVoidElement,
+  isInlineElement,
+  elementChildren,
+  getClassList,
+  findFirst
+} from './html-utils.js';
+import { getSectionGroups, isBlockNode, toBlockName } from './page-model.js';
+
+const SECTION_BREAK = '---';
+const INLINE_MEDIA = new Set(['br', 'img', 'picture', 'source', 'wbr']);
+const TRIMMED_CONTAINERS = new Set(['div', 'p', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote']);
+
+const TAG_REGEX = /^(?:<!--[\s\S]*?-->|<\/[a-zA-Z][\w:-]*\s*>|<[a-zA-Z][\w:-]*(?:[^>"']|"[^"]*"|'[^']*')*>)/;
+const ENTITY_REGEX = /^&(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/i;
+const ESCAPABLE = /[!-/:-@[-`{-~]/;
+const HTML_WHITESPACE = /[ \t\n\r\f]+/g;
+
+const HEADING_LINE = /^(#{1,6})[ \t]+(.*)$/;
+const FENCE_LINE = /^```\s*([\w+#-]*)\s*$/;
+const LIST_LINE = /^(\s*)([-*+]|\d+[.)])[ \t]+(.*)$/;
+const QUOTE_LINE = /^>\s?(.*)$/;
+const HTML_BLOCK_LINE = /^<(?:!--|\/?([a-zA-Z][\w:-]*))/;
+
+function isInlineNode(node) {
+  return node.type !== 'element' || isInlineElement(node) || INLINE_MEDIA.has(node.tag);
+}
+
+function isFormattingWhitespace(text) {
+  return text.includes('\n') && text.replace(HTML_WHITESPACE, '') === '';
+}
+
+// Canonical form used to compare HTML: attributes sorted and re-encoded,
+// whitespace collapsed outside <pre>, formatting whitespace between tags and
+// at the edges of block containers dropped.
+function canonicalize(nodes, inPre = false, trimEdges = false) {
+  const parts = nodes.map(node => {
+    if (node.type === 'text') {
+      const text = decodeEntities(node.value);
+      if (inPre) return { text: encodeText(text) };
+      if (isFormattingWhitespace(text)) return { text: '' };
+      return { text: encodeText(text.replace(HTML_WHITESPACE, ' ')) };
+    }
+    if (node.type !== 'element') {
+      return { html: node.type === 'comment' ? `<!--${node.value}-->` : '' };
+    }
+
+    const attrs = Object.keys(node.attrs).sort().map(name => (
+      node.attrs[name] === null ? ` ${name}` : ` ${name}="${encodeAttribute(decodeEntities(node.attrs[name]))}"`
+    )).join('');
+    const children = canonicalize(node.children, inPre || node.tag === 'pre', TRIMMED_CONTAINERS.has(node.tag));
+    return { html: `<${node.tag}${attrs}>${children}</${node.tag}>` };
+  });
+
+  if (trimEdges && !inPre) {
+    const first = parts.find(part => part.html !== undefined || part.text);
+    const last = [...parts].reverse().find(part => part.html !== undefined || part.text);
+    if (first?.text) first.text = first.text.replace(/^ /, '');
+    if (last?.text) last.text = last.text.replace(/ $/, '');
+  }
+
+  return parts.map(part => part.html ?? part.text).join('');
+}
+
+function isSameHTML(a, b) {
+  return canonicalize(parseHTML(a), false, true) === canonicalize(parseHTML(b), false, true);
+}
+
+// HTML to Markdown
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*_[\]<>]/g, '\\$&')
+    .replace(/&(?=#?\w+;)/g, '\\&')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+function rawOpenTag(node) {
+  const attrs = Object.entries(node.attrs)
+    .map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${value.replace(/\n/g, '&#10;')}"`))
+    .join('');
+  return `<${node.tag}${attrs}>`;
+}
+
+function textToMarkdown(node, context) {
+  const text = decodeEntities(node.value);
+  if (context.pre) return escapeMarkdown(text).replace(/\n/g, '&#10;');
+  if (isFormattingWhitespace(text)) return '';
+  return escapeMarkdown(text.replace(HTML_WHITESPACE, ' '));
+}
+
+function hasOnlyAttributes(node, names) {
+  const keys = Object.keys(node.attrs);
+  return keys.every(key => names.includes(key)) && names.every(name => typeof node.attrs[name] === 'string');
+}
+
+function isPlainURL(url) {
+  return url !== '' && !/[\s()<>\\]/.test(url) && !/&#?\w+;/.test(url);
+}
+
+function elementToMarkdownSyntax(node, context) {
+  const hasAttributes = Object.keys(node.attrs).length > 0;
+
+  if ((node.tag === 'strong' || node.tag === 'em') && !hasAttributes) {
+    const inner = inlineToMarkdown(node.children, context);
+    if (!inner || inner.trim() !== inner) return null;
+    return node.tag === 'strong' ? `**${inner}**` : `_${inner}_`;
+  }
+
+  if (node.tag === 'code' && !hasAttributes && node.children.every(child => child.type === 'text')) {
+    const text = decodeEntities(node.children.map(child => child.value).join('')).replace(HTML_WHITESPACE, ' ');
+    if (!text.trim() || text.includes('`') || text.trim() !== text) return null;
+    return `\`${text}\``;
+  }
+
+  if (node.tag === 'a' && hasOnlyAttributes(node, ['href'])) {
+    const href = decodeEntities(node.attrs.href);
+    const inner = inlineToMarkdown(node.children, context);
+    if (!isPlainURL(href) || !inner) return null;
+    return `[${inner}](${href})`;
+  }
+
+  if (node.tag === 'img' && hasOnlyAttributes(node, ['src', 'alt'])) {
+    const src = decodeEntities(node.attrs.src);
+    const alt = decodeEntities(node.attrs.alt);
+    if (!isPlainURL(src) || /[[\]\\\n]|&#?\w+;/.test(alt)) return null;
+    return `![${alt}](${src})`;
+  }
+
+  return null;
+}
+
+function nodeToMarkdown(node, context) {
+  if (node.type === 'text') return textToMarkdown(node, context);
+  if (node.type === 'comment') return `<!--${node.value}-->`;
+  if (node.type !== 'element') return '';
+
+  if (!context.raw && !context.pre) {
+    const markdown = elementToMarkdownSyntax(node, context);
+    if (markdown !== null) return markdown;
+  }
+
+  if (isVoidElement(node.tag)) return rawOpenTag(node);
+
+  const childContext = { ...context, pre: context.pre || node.tag === 'pre' };
+  return `${rawOpenTag(node)}${inlineToMarkdown(node.children, childContext)}</${node.tag}>`;
+}
+
+function inlineToMarkdown(nodes, context = {}) {
+  return nodes.map(node => nodeToMarkdown(node, context)).join('');
+}
+
+function listToMarkdown(node, indent) {
+  const ordered = node.tag === 'ol';
+  const lines = [];
+  let number = 1;
+
+  for (const item of node.children) {
+    if (isBlankText(item)) continue;
+    if (!isElement(item, 'li') || Object.keys(item.attrs).length > 0) return null;
+
+    const marker = ordered ? `${number++}. ` : '- ';
+    const nestedIndex = item.children.findIndex(child => isElement(child, 'ul') || isElement(child, 'ol'));
+    const inlineNodes = nestedIndex === -1 ? item.children : item.children.slice(0, nestedIndex);
+    const nestedNodes = nestedIndex === -1 ? [] : item.children.slice(nestedIndex);
+
+    if (!inlineNodes.every(isInlineNode)) return null;
+    lines.push(`${indent}${marker}${inlineToMarkdown(inlineNodes).trim()}`);
+
+    for (const nested of nestedNodes) {
+      if (isBlankText(nested)) continue;
+      if (!(isElement(nested, 'ul') || isElement(nested, 'ol')) || Object.keys(nested.attrs).length > 0) return null;
+
+      const markdown = listToMarkdown(nested, `${indent}${' '.repeat(marker.length)}`);
+      if (markdown === null) return null;
+      lines.push(markdown);
+    }
+  }
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+function preToMarkdown(node) {
+  const [code] = node.children;
+  if (node.children.length !== 1 || !isElement(code, 'code')) return null;
+  if (!code.children.every(child => child.type === 'text')) return null;
+
+  const attrs = Object.keys(code.attrs);
+  const language = code.attrs.class?.match(/^language-([\w+#-]+)$/)?.[1];
+  if (attrs.length > 1 || (attrs.length === 1 && !language)) return null;
+
+  const text = decodeEntities(code.children.map(child => child.value).join(''));
+  if (text.includes('```')) return null;
+
+  return `\`\`\`${language || ''}\n${text}\n\`\`\``;
+}
+
+function contentToMarkdownSyntax(node) {
+  if (node.type === 'text') return textToMarkdown(node, {});
+  if (node.type !== 'element' || Object.keys(node.attrs).length > 0) return null;
+
+  const heading = node.tag.match(/^h([1-6])$/);
+  if (heading) return `${'#'.repeat(Number(heading[1]))} ${inlineToMarkdown(node.children).trim()}`;
+  if (node.tag === 'p') return inlineToMarkdown(node.children).trim();
+  if (node.tag === 'ul' || node.tag === 'ol') return listToMarkdown(node, '');
+  if (node.tag === 'pre') return preToMarkdown(node);
+
+  return null;
+}
+
+function formatBlockTitle(name, variants) {
+  const title = name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return variants.length > 0 ? `${title} (${variants.join(', ')})` : title;
+}
+
+function getBlockRows(node) {
+  if (node.children.some(child => child.type !== 'element' && !isBlankText(child))) return null;
+
+  const rows = elementChildren(node).map(row => {
+    if (!isElement(row, 'div') || Object.keys(row.attrs).length > 0) return null;
+    if (row.children.some(child => child.type !== 'element' && !isBlankText(child))) return null;
+
+    const cells = elementChildren(row);
+    const valid = cells.length > 0 && cells.every(cell => isElement(cell, 'div') && Object.keys(cell.attrs).length === 0);
+    return valid ? cells : null;
+  });
+
+  return rows.every(Boolean) ? rows : null;
+}
+
+function blockToTable(node, raw) {
+  const [name, ...variants] = getClassList(node);
+  const rows = getBlockRows(node);
+  if (!rows || Object.keys(node.attrs).length !== 1) return null;
+
+  const columns = Math.max(1, ...rows.map(cells => cells.length));
+  const formatRow = (cells) => `| ${cells.join(' | ')} |`;
+
+  const lines = [
+    formatRow([formatBlockTitle(name, variants), ...Array(columns - 1).fill('')]),
+    formatRow(Array(columns).fill('---')),
+    ...rows.map(cells => formatRow(cells.map(cell => (
+      inlineToMarkdown(cell.children, { raw }).trim().replace(/\|/g, '\\|')
+    ))))
+  ];
+
+  return lines.join('\n');
+}
+
+function pickMarkdown(candidates, html) {
+  let fallback = '';
+
+  for (const candidate of candidates) {
+    const markdown = candidate();
+    if (markdown === null) continue;
+    if (isSameHTML(parseMarkdownBlocks(markdown.split('\n')), html)) return markdown;
+    fallback = markdown;
+  }
+
+  return fallback;
+}
+
+function nodeToChunk(node) {
+  const original = serializeNode(node);
+
+  if (isBlockNode(node)) {
+    return pickMarkdown([
+      () => blockToTable(node, false),
+      () => blockToTable(node, true),
+      () => nodeToMarkdown(node, { raw: true })
+    ], original);
+  }
+
+  return pickMarkdown([
+    () => contentToMarkdownSyntax(node),
+    () => nodeToMarkdown(node, {}),
+    () => nodeToMarkdown(node, { raw: true })
+  ], original);
+}
+
+function sectionToMarkdown(nodes) {
+  return nodes
+    .filter(node => !isBlankText(node) && node.type !== 'doctype')
+    .map(nodeToChunk)
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+export function htmlToMarkdown(html) {
+  const nodes = parseHTML(typeof html === 'string' ? html : '');
+  const main = findFirst(nodes, node => isElement(node, 'main'));
+  const groups = main ? getSectionGroups(main) : [nodes];
+
+  const markdown = groups.map(sectionToMarkdown).join(`\n\n${SECTION_BREAK}\n\n`).trim();
+  return markdown ? `${markdown}\n` : '';
+}
+
+// Markdown to HTML
+
+function matchTag(text, index) {
+  const match = text.slice(index).match(TAG_REGEX);
+  return match ? match[0] : null;
+}
+
+function matchCodeSpan(text, index) {
+  const match = text.slice(index).match(/^(`+)([\s\S]*?[^`])\1(?!`)/);
+  return match ? { code: match[2], end: index + match[0].length } : null;
+}
+
+// Returns the index after the construct starting at index (escape, code span
+// or HTML tag) so delimiter searches do not look inside them
+function skipInlineConstruct(text, index) {
+  const char = text[index];
+  if (char === '\\' && ESCAPABLE.test(text[index + 1] || '')) return index + 2;
+  if (char === '`') {
+    const span = matchCodeSpan(text, index);
+    if (span) return span.end;
+  }
+  if (char === '<') {
+    const tag = matchTag(text, index);
+    if (tag) return index + tag.length;
+  }
+  return null;
+}
+
+function matchLink(text, index) {
+  if (text[index] !== '[') return null;
+
+  let depth = 0;
+  let i = index;
+  while (i < text.length) {
+    const skipped = skipInlineConstruct(text, i);
+    if (skipped !== null) {
+      i = skipped;
+      continue;
+    }
+    if (text[i] === '[') depth++;
+    if (text[i] === ']' && --depth === 0) break;
+    i++;
+  }
+
+  if (depth !== 0) return null;
+
+  const target = text.slice(i + 1).match(/^\(([^\s()]*)\)/);
+  if (!target) return null;
+
+  return {
+    label: text.slice(index + 1, i),
+    href: target[1],
+    end: i + 1 + target[0].length
+  };
+}
+
+function findClosingDelimiter(text, start, delimiter) {
+  let i = start;
+  while (i < text.length) {
+    const skipped = skipInlineConstruct(text, i);
+    if (skipped !== null) {
+      i = skipped;
+      continue;
+    }
+    if (text[i] === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        i = link.end;
+        continue;
+      }
+    }
+    if (text.startsWith(delimiter, i)) {
+      const double = delimiter.length === 1 && text[i + 1] === delimiter;
+      if (!double && (delimiter !== '_' || !/[\p{L}\p{N}]/u.test(text[i + 1] || ''))) return i;
+      if (double) {
+        i += 2;
+        continue;
+      }
+    }
+    i++;
+  }
+  return -1;
+}
+
+function unescapeMarkdown(text) {
+  return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+export function parseInline(text) {
+  let html = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      html += encodeText(text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const span = matchCodeSpan(text, i);
+      if (span) {
+        html += `<code>${encodeText(span.code)}</code>`;
+        i = span.end;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const tag = matchTag(text, i);
+      if (tag) {
+        html += tag;
+        i += tag.length;
+        continue;
+      }
+    }
+
+    if (char === '&') {
+      const entity = text.slice(i).match(ENTITY_REGEX);
+      if (entity) {
+        html += entity[0];
+        i += entity[0].length;
+        continue;
+      }
+    }
+
+    if (char === '!' && text[i + 1] === '[') {
+      const image = matchLink(text, i + 1);
+      if (image) {
+        const src = encodeAttribute(decodeEntities(image.href));
+        const alt = encodeAttribute(decodeEntities(unescapeMarkdown(image.label)));
+        html += `<img src="${src}" alt="${alt}">`;
+        i = image.end;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        html += `<a href="${encodeAttribute(decodeEntities(link.href))}">${parseInline(link.label)}</a>`;
+        i = link.end;
+        continue;
+      }
+    }
+
+    const strong = text.startsWith('**', i) ? '**' : (text.startsWith('__', i) ? '__' : null);
+    if (strong) {
+      const close = findClosingDelimiter(text, i + 2, strong);
+      if (close > i + 2) {
+        html += `<strong>${parseInline(text.slice(i + 2, close))}</strong>`;
+        i = close + 2;
+        continue;
+      }
+    }
+
+    const opensEmphasis = char === '*' || (char === '_' && !/[\p{L}\p{N}]/u.test(text[i - 1] || ''));
+    if (opensEmphasis && text[i + 1] !== char) {
+      const close = findClosingDelimiter(text, i + 1, char);
+      if (close > i + 1) {
+        html += `<em>${parseInline(text.slice(i + 1, close))}</em>`;
+        i = close + 1;
+        continue;
+      }
+    }
+
+    html += encodeText(char);
+    i++;
+  }
+
+  return html;
+}
+
+function splitTableRow(line) {
+  const text = line.trim();
+  const cells = [];
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      current += text[i] + text[i + 1];
+      i++;
+    } else if (text[i] === '|') {
+      cells.push(current);
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+  cells.push(current);
+
+  if (text.startsWith('|')) cells.shift();
+  if (text.endsWith('|') && cells[cells.length - 1] === '') cells.pop();
+
+  return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableSeparator(line) {
+  if (!line || !line.trim().startsWith('|')) return false;
+  const cells = splitTableRow(line);
+  return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+}
+
+function parseBlockTitle(title) {
+  const match = title.match(/^(.*?)\s*(?:\(([^)]*)\))?$/);
+  const name = toBlockName(unescapeMarkdown(match[1])) || 'block';
+  const variants = (match[2] || '').split(',').map(toBlockName).filter(Boolean);
+  return [name, ...variants];
+}
+
+function tableToBlock(lines) {
+  const [header, , ...rows] = lines;
+  const classes = parseBlockTitle(splitTableRow(header)[0] || '');
+  const rowsHTML = rows
+    .map(row => `<div>${splitTableRow(row).map(cell => `<div>${parseInline(cell)}</div>`).join('')}</div>`)
+    .join('');
+  return `<div class="${encodeAttribute(classes.join(' '))}">${rowsHTML}</div>`;
+}
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_LINE);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length && lines[i].trim()) {
+    const match = lines[i].match(LIST_LINE);
+
+    if (match && match[1].length === indent) {
+      if (/\d/.test(match[2]) !== ordered) break;
+      items.push({ text: [match[3]], nested: [] });
+      i++;
+    } else if (match && match[1].length > indent && items.length > 0) {
+      const nested = parseList(lines, i);
+      items[items.length - 1].nested.push(nested.html);
+      i = nested.end;
+    } else if (!match && items.length > 0 && /^\s/.test(lines[i])) {
+      items[items.length - 1].text.push(lines[i].trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const itemsHTML = items
+    .map(item => `<li>${parseInline(item.text.join('\n').trim())}${item.nested.join('')}</li>`)
+    .join('');
+  return { html: `<${tag}>${itemsHTML}</${tag}>`, end: i };
+}
+
+function startsHTMLBlock(line) {
+  const match = line.match(HTML_BLOCK_LINE);
+  if (!match) return false;
+  if (!match[1]) return true;
+  return !isInlineNode({ type: 'element', tag: match[1].toLowerCase(), attrs: {} });
+}
+
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return HEADING_LINE.test(line)
+    || FENCE_LINE.test(line)
+    || QUOTE_LINE.test(line)
+    || startsHTMLBlock(line)
+    || (line.trim().startsWith('|') && isTableSeparator(lines[index + 1]));
+}
+
+function parseMarkdownBlocks(lines) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_LINE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const attrs = fence[1] ? ` class="language-${fence[1]}"` : '';
+      html.push(`<pre><code${attrs}>${encodeText(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING_LINE);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${parseInline(heading[2].trim())}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (line.trim().startsWith('|') && isTableSeparator(lines[i + 1])) {
+      const table = [];
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        table.push(lines[i]);
+        i++;
+      }
+      html.push(tableToBlock(table));
+      continue;
+    }
+
+    if (LIST_LINE.test(line)) {
+      const list = parseList(lines, i);
+      html.push(list.html);
+      i = list.end;
+      continue;
+    }
+
+    if (QUOTE_LINE.test(line)) {
+      const quote = [];
+      while (i < lines.length && QUOTE_LINE.test(lines[i])) {
+        quote.push(lines[i].match(QUOTE_LINE)[1]);
+        i++;
+      }
+      html.push(`<blockquote>${parseMarkdownBlocks(quote)}</blockquote>`);
+      continue;
+    }
+
+    if (startsHTMLBlock(line)) {
+      const block = [];
+      while (i < lines.length && lines[i].trim()) {
+        block.push(lines[i]);
+        i++;
+      }
+      html.push(parseInline(block.join('\n')));
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    html.push(`<p>${parseInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return html.join('');
+}
+
+function splitSections(markdown) {
+  const sections = [[]];
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (FENCE_LINE.test(line)) inFence = !inFence;
+
+    if (!inFence && line.trim() === SECTION_BREAK) {
+      sections.push([]);
+    } else {
+      sections[sections.length - 1].push(line);
+    }
+  }
+
+  return sections;
+}
+
+export function markdownToHTML(markdown) {
+  const text = (markdown || '').replace(/\r\n?/g, '\n');
+  const sections = text.trim() ? splitSections(text) : [];
+  const html = sections.map(lines => `<div>${parseMarkdownBlocks(lines)}</div>`).join('');
+  return `<body><header></header><main>${html}</main><footer></footer></body>`;
+}
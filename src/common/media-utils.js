@@ -0,0 +1,122 @@
+// src/common/media-utils.js
+
+import { createHash } from 'crypto';
+import { parseHTML, isElement, getAttribute, getTextContent } from './html-utils.js';
+import { FRAGMENT_BLOCK } from './link-utils.js';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'ico'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov'];
+const DOCUMENT_EXTENSIONS = ['pdf'];
+const MEDIA_HASH_REGEX = /media_([0-9a-f]{8,})/i;
+
+export const MEDIA_FILE_EXTENSIONS = [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS, ...DOCUMENT_EXTENSIONS];
+
+// The media library keeps a missing alt attribute apart from an empty one
+// (decorative image) by storing the string 'null'
+export const MISSING_ALT = 'null';
+
+function getPathname(url) {
+  try {
+    return new URL(url, 'https://placeholder').pathname;
+  } catch {
+    return url.split(/[?#]/)[0];
+  }
+}
+
+export function getMediaExtension(url) {
+  const pathname = getPathname(url);
+  const dot = pathname.lastIndexOf('.');
+  return dot > pathname.lastIndexOf('/') ? pathname.slice(dot + 1).toLowerCase() : '';
+}
+
+export function getMediaName(url) {
+  const pathname = getPathname(url);
+  const name = pathname.slice(pathname.lastIndexOf('/') + 1);
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+// DA names uploaded media media_<hash>.<ext>; other URLs get a hash of the
+// URL without its query so renditions of one file share it
+export function getMediaHash(url) {
+  const match = getMediaName(url).match(MEDIA_HASH_REGEX);
+  if (match) return match[1].toLowerCase();
+  return createHash('sha1').update(url.split('?')[0].toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function toType(kind, url) {
+  const ext = getMediaExtension(url);
+  return ext ? `${kind} > ${ext}` : kind;
+}
+
+function getLinkKind(url) {
+  const ext = getMediaExtension(url);
+  if (DOCUMENT_EXTENSIONS.includes(ext)) return 'document';
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+  return null;
+}
+
+function isFragmentLink(href, ancestors) {
+  return /\/fragments\//.test(href)
+    || ancestors.some(node => node.tag === 'div' && (getAttribute(node, 'class') || '').split(/\s+/).includes(FRAGMENT_BLOCK));
+}
+
+// Media references of a page in the media index item shape: images (img,
+// including inside picture), videos (video src or source), links to PDFs and
+// video files, and fragments. resolveUrl makes relative URLs absolute.
+export function extractMediaReferences(html, doc, resolveUrl = url => url) {
+  const references = [];
+
+  const add = (kind, url, alt = '') => {
+    const resolved = resolveUrl(url.trim());
+    references.push({
+      url: resolved,
+      name: getMediaName(resolved),
+      doc,
+      alt,
+      type: kind === 'fragment' ? kind : toType(kind, resolved),
+      hash: getMediaHash(resolved),
+    });
+  };
+
+  const walk = (nodes, ancestors) => {
+    for (const node of nodes) {
+      if (!isElement(node)) continue;
+
+      if (node.tag === 'img' && getAttribute(node, 'src')) {
+        add('img', getAttribute(node, 'src'), getAttribute(node, 'alt') ?? MISSING_ALT);
+      } else if (node.tag === 'video') {
+        const sources = [getAttribute(node, 'src'), ...node.children
+          .filter(child => isElement(child, 'source'))
+          .map(child => getAttribute(child, 'src'))];
+        const src = sources.find(Boolean);
+        if (src) add('video', src);
+        continue;
+      } else if (node.tag === 'a' && getAttribute(node, 'href')) {
+        const href = getAttribute(node, 'href').trim();
+        const kind = getLinkKind(href);
+
+        if (kind) {
+          add(kind, href, getTextContent(node).trim());
+        } else if (isFragmentLink(href, ancestors)) {
+          add('fragment', href);
+        }
+      }
+
+      walk(node.children, [...ancestors, node]);
+    }
+  };
+
+  walk(parseHTML(html), []);
+  return references;
+}
+
+export function getMediaFileType(path) {
+  const ext = getMediaExtension(path);
+  if (IMAGE_EXTENSIONS.includes(ext)) return `img > ${ext}`;
+  if (VIDEO_EXTENSIONS.includes(ext)) return `video > ${ext}`;
+  return `document > ${ext}`;
+}
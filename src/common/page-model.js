@@ -0,0 +1,352 @@
+// src/common/page-model.js
+
+import {
+  parseHTML,
+  serializeHTML,
+  encodeText,
+  createElement,
+  isElement,
+  isBlankText,
+  elementChildren,
+  getClassList,
+  getTextContent,
+  findFirst
+} from './html-utils.js';
+
+export const METADATA_BLOCK = 'metadata';
+export const SECTION_METADATA_BLOCK = 'section-metadata';
+
+export function toBlockName(name) {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^0-9a-z]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function normalizeMetadataKey(key) {
+  return toBlockName(key);
+}
+
+export function isBlockNode(node) {
+  return isElement(node, 'div') && getClassList(node).length > 0;
+}
+
+export function getCellNodes(row) {
+  const children = row.children.filter(child => !isBlankText(child));
+  if (children.length > 0 && children.every(child => isElement(child, 'div'))) {
+    return children;
+  }
+  // A row without cell divs holds its content directly
+  return [row];
+}
+
+function getCellValue(cell) {
+  const children = cell.children.filter(child => !isBlankText(child));
+  const onlyText = (nodes) => nodes.every(child => child.type === 'text');
+
+  if (onlyText(children)) {
+    return getTextContent(children).trim();
+  }
+
+  if (children.length === 1 && isElement(children[0], 'p') && onlyText(children[0].children)) {
+    return getTextContent(children[0]).trim();
+  }
+
+  return serializeHTML(cell.children).trim();
+}
+
+function parseKeyValueRows(node) {
+  const values = {};
+
+  for (const row of elementChildren(node)) {
+    const [keyCell, valueCell] = getCellNodes(row);
+    const key = keyCell ? getTextContent(keyCell).trim() : '';
+    if (!key) continue;
+    values[key] = valueCell ? getCellValue(valueCell) : '';
+  }
+
+  return values;
+}
+
+function parseBlock(node) {
+  const [name, ...variants] = getClassList(node);
+
+  return {
+    type: 'block',
+    name,
+    variants,
+    rows: elementChildren(node).map(row => (
+      getCellNodes(row).map(cell => serializeHTML(cell.children).trim())
+    ))
+  };
+}
+
+function parseSection(nodes, page) {
+  const section = { metadata: null, content: [] };
+  let pending = [];
+
+  const flush = () => {
+    const html = serializeHTML(pending).trim();
+    if (html) section.content.push({ type: 'default', html });
+    pending = [];
+  };
+
+  for (const node of nodes) {
+    if (!isBlockNode(node)) {
+      pending.push(node);
+      continue;
+    }
+
+    flush();
+    const name = getClassList(node)[0];
+
+    if (name === SECTION_METADATA_BLOCK) {
+      section.metadata = { ...section.metadata, ...parseKeyValueRows(node) };
+    } else if (name === METADATA_BLOCK) {
+      page.metadata = { ...page.metadata, ...parseKeyValueRows(node) };
+      page.metadataFound = true;
+    } else {
+      section.content.push(parseBlock(node));
+    }
+  }
+
+  flush();
+  return section;
+}
+
+function isEmptySection(section) {
+  return !section.metadata && section.content.length === 0;
+}
+
+// Splits main's children into sections. Stray nodes between section divs are
+// grouped into a section of their own so no content is dropped.
+export function getSectionGroups(main) {
+  const groups = [];
+  let stray = [];
+
+  const flushStray = () => {
+    if (stray.some(node => !isBlankText(node))) groups.push(stray);
+    stray = [];
+  };
+
+  for (const node of main.children) {
+    if (isElement(node, 'div') && !isBlockNode(node)) {
+      flushStray();
+      groups.push(node.children);
+    } else {
+      stray.push(node);
+    }
+  }
+
+  flushStray();
+  return groups;
+}
+
+export function parsePage(html) {
+  const nodes = parseHTML(typeof html === 'string' ? html : '');
+  const main = findFirst(nodes, node => isElement(node, 'main'));
+  const page = { metadata: {}, metadataFound: false };
+
+  const sections = [];
+  for (const group of main ? getSectionGroups(main) : []) {
+    const metadataBefore = page.metadataFound;
+    const section = parseSection(group, page);
+
+    // A section that only held the page metadata block is tracked as a flag
+    if (isEmptySection(section) && page.metadataFound && !metadataBefore) {
+      page.separateMetadataSection = true;
+      continue;
+    }
+
+    sections.push(section);
+  }
+
+  return {
+    metadata: page.metadata,
+    ...(page.separateMetadataSection ? { separateMetadataSection: true } : {}),
+    sections
+  };
+}
+
+function serializeCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return encodeText(value.join(', '));
+
+  const text = String(value);
+  return /^\s*</.test(text) ? text : encodeText(text);
+}
+
+function serializeRows(rows) {
+  return rows
+    .map(cells => `<div>${cells.map(cell => `<div>${cell ?? ''}</div>`).join('')}</div>`)
+    .join('');
+}
+
+export function serializeKeyValueBlock(name, values) {
+  const rows = Object.entries(values || {})
+    .map(([key, value]) => [encodeText(key), serializeCellValue(value)]);
+  return `<div class="${name}">${serializeRows(rows)}</div>`;
+}
+
+export function serializeBlockRows(block) {
+  return serializeRows(block.rows || []);
+}
+
+export function serializeBlock(block) {
+  const classes = [toBlockName(block.name), ...(block.variants || []).map(toBlockName)]
+    .filter(Boolean)
+    .join(' ');
+  return `<div class="${classes}">${serializeBlockRows(block)}</div>`;
+}
+
+function serializeSection(section, extra = '') {
+  const content = (section.content || [])
+    .map(item => (item.type === 'block' ? serializeBlock(item) : item.html || ''))
+    .join('');
+
+  const metadata = section.metadata && Object.keys(section.metadata).length > 0
+    ? serializeKeyValueBlock(SECTION_METADATA_BLOCK, section.metadata)
+    : '';
+
+  return `<div>${content}${metadata}${extra}</div>`;
+}
+
+export function serializePage(model) {
+  const sections = [...(model.sections || [])];
+  const hasMetadata = model.metadata && Object.keys(model.metadata).length > 0;
+  const metadataBlock = hasMetadata ? serializeKeyValueBlock(METADATA_BLOCK, model.metadata) : '';
+
+  const parts = sections.map((section, index) => {
+    const isLast = index === sections.length - 1;
+    return serializeSection(section, isLast && !model.separateMetadataSection ? metadataBlock : '');
+  });
+
+  if (metadataBlock && (model.separateMetadataSection || sections.length === 0)) {
+    parts.push(`<div>${metadataBlock}</div>`);
+  }
+
+  return `<body><header></header><main>${parts.join('')}</main><footer></footer></body>`;
+}
+
+function findMetadataBlock(main) {
+  for (const section of elementChildren(main)) {
+    if (isBlockNode(section) && getClassList(section)[0] === METADATA_BLOCK) {
+      return { block: section, parent: main };
+    }
+
+    const block = section.children.find(node => (
+      isBlockNode(node) && getClassList(node)[0] === METADATA_BLOCK
+    ));
+    if (block) return { block, parent: section };
+  }
+
+  return { block: null, parent: null };
+}
+
+function createMetadataBlock(main) {
+  const block = createElement('div', { class: METADATA_BLOCK });
+  const sections = elementChildren(main).filter(node => isElement(node, 'div') && !isBlockNode(node));
+  let section = sections[sections.length - 1];
+
+  if (!section) {
+    section = createElement('div');
+    main.children.push(section);
+  }
+
+  section.children.push(block);
+  return { block, parent: section };
+}
+
+function findMetadataRow(block, key) {
+  const normalized = normalizeMetadataKey(key);
+  return elementChildren(block).find(row => {
+    const [keyCell] = getCellNodes(row);
+    return normalizeMetadataKey(getTextContent(keyCell)) === normalized;
+  }) || null;
+}
+
+function formatMetadataValue(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Updates the metadata block of a page in place: only the touched rows change,
+// the rest of the document is serialized back as found. A null value removes
+// the key. The block is created at the end of the last section if missing.
+export function updatePageMetadata(html, updates) {
+  const nodes = parseHTML(html);
+  const main = findFirst(nodes, node => isElement(node, 'main'));
+
+  if (!main) {
+    throw new Error('Page has no <main> element');
+  }
+
+  let { block, parent } = findMetadataBlock(main);
+  const blockExisted = !!block;
+  const changes = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    const row = block ? findMetadataRow(block, key) : null;
+    const valueCell = row ? getCellNodes(row)[1] : null;
+    const before = row ? (valueCell ? getCellValue(valueCell) : '') : null;
+
+    if (value === null) {
+      if (row) {
+        block.children = block.children.filter(node => node !== row);
+        changes.push({ key, action: 'removed', before, after: null });
+      }
+      continue;
+    }
+
+    const after = formatMetadataValue(value);
+    const cellChildren = parseHTML(serializeCellValue(after));
+
+    if (!block) {
+      ({ block, parent } = createMetadataBlock(main));
+    }
+
+    if (!row) {
+      const keyCell = createElement('div', {}, [{ type: 'text', value: encodeText(key) }]);
+      block.children.push(createElement('div', {}, [keyCell, createElement('div', {}, cellChildren)]));
+      changes.push({ key, action: 'added', before: null, after });
+    } else if (before === after) {
+      changes.push({ key, action: 'unchanged', before, after });
+    } else {
+      if (valueCell) {
+        valueCell.children = cellChildren;
+      } else {
+        row.children.push(createElement('div', {}, cellChildren));
+      }
+      changes.push({ key, action: 'updated', before, after });
+    }
+  }
+
+  if (block && elementChildren(block).length === 0) {
+    parent.children = parent.children.filter(node => node !== block);
+  }
+
+  return {
+    html: serializeHTML(nodes),
+    blockCreated: !blockExisted && !!block && elementChildren(block).length > 0,
+    changed: changes.some(change => change.action !== 'unchanged'),
+    changes
+  };
+}
+
+export function findBlocks(model, blockName) {
+  const name = blockName ? toBlockName(blockName) : null;
+  return (model.sections || [])
+    .flatMap(section => section.content || [])
+    .filter(item => item.type === 'block' && (!name || item.name === name));
+}
+
+export function summarizePage(model) {
+  const blocks = findBlocks(model);
+  return {
+    sections: (model.sections || []).length,
+    blocks: blocks.map(block => (
+      block.variants.length > 0 ? `${block.name} (${block.variants.join(', ')})` : block.name
+    )),
+    metadataKeys: Object.keys(model.metadata || {})
+  };
+}
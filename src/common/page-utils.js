@@ -0,0 +1,71 @@
+// src/common/page-utils.js
+
+import { daAdminRequest, formatURL, uploadHTML, mapWithConcurrency } from './utils.js';
+import { walkTree } from './list-utils.js';
+
+export function cleanPagePath(path) {
+  return path.replace(/\.html$/, '');
+}
+
+// Public URL of a page file: /a/b.html is served as /a/b and /a/index.html as /a/
+export function toPageUrl(filePath) {
+  const path = filePath.replace(/\.html$/i, '');
+  return path.endsWith('/index') ? path.slice(0, -'index'.length) : path;
+}
+
+// The admin API can return a page as a JSON-quoted string
+export function unwrapPageHTML(html) {
+  if (typeof html === 'string' && html.startsWith('"') && html.endsWith('"')) {
+    html = JSON.parse(html);
+  }
+
+  return typeof html === 'string' ? html : '';
+}
+
+export async function getPageHTML(org, repo, path) {
+  try {
+    const url = formatURL('source', org, repo, cleanPagePath(path), 'html');
+    return unwrapPageHTML(await daAdminRequest(url));
+  } catch (error) {
+    if (error.message?.includes('404')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export async function uploadPageHTML(org, repo, path, html) {
+  const url = formatURL('source', org, repo, cleanPagePath(path), 'html');
+  return uploadHTML(url, html);
+}
+
+const CRAWL_CONCURRENCY = 5;
+
+// Fetches every HTML page under a folder and hands each one to visit(page).
+// Pages are visited as they arrive so large sites are never held in memory.
+export async function crawlPages(org, repo, path, options, visit) {
+  const { glob = null, excludeFolders = null } = options || {};
+  const { items } = await walkTree(org, repo, path, {
+    extensions: ['html'],
+    glob,
+    excludeFolders
+  });
+
+  const errors = [];
+  await mapWithConcurrency(items, CRAWL_CONCURRENCY, async (item) => {
+    const pagePath = cleanPagePath(item.path);
+    try {
+      const html = await getPageHTML(org, repo, pagePath);
+      if (html !== null) {
+        await visit({ path: pagePath, html, lastModified: item.lastModified });
+      }
+    } catch (error) {
+      errors.push({ path: pagePath, error: error.message });
+    }
+  });
+
+  return {
+    pagesCrawled: items.length,
+    errors
+  };
+}
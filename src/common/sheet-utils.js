@@ -1,7 +1,10 @@
 // src/common/sheet-utils.js
 
 import { daAdminRequest, formatURL, uploadJSON } from './utils.js';
-import { getDataSheet, addEntry, removeEntry, entryExists } from './library-cfg-utils.js';
+import { getDataSheet, addEntry, removeEntry, entryExists, updateSheetDocument } from './library-cfg-utils.js';
+
+const DEFAULT_SHEET = 'data';
+const WRITE_ATTEMPTS = 3;
 
 export async function uploadSheetJSON(org, repo, path, sheetJSON) {
   const url = formatURL('source', org, repo, path, 'json');
@@ -29,56 +32,240 @@ export async function listSheetItems(org, repo, path) {
   return dataSheet?.data || [];
 }
 
+export function getSheetNames(sheetJSON) {
+  if (!sheetJSON) return [];
+  return sheetJSON[':type'] === 'multi-sheet' ? (sheetJSON[':names'] || []) : [DEFAULT_SHEET];
+}
+
+// Returns the named sheet of a sheet document, or its first sheet when no
+// name is given. Single-sheet documents only contain the "data" sheet.
+export function getSheetByName(sheetJSON, sheetName = null) {
+  const names = getSheetNames(sheetJSON);
+  const name = sheetName || names[0];
+
+  if (!names.includes(name)) return null;
+
+  const sheet = sheetJSON[':type'] === 'multi-sheet' ? sheetJSON[name] : sheetJSON;
+  return sheet ? { name, sheet } : null;
+}
+
+export function getSheetColumns(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  return columns;
+}
+
+// Gives every row the same columns, in the order they first appear, so new
+// columns show up as empty cells instead of ragged rows.
+export function normalizeSheetRows(rows, columns = getSheetColumns(rows)) {
+  return rows.map((row) => {
+    const normalized = {};
+    for (const column of columns) {
+      normalized[column] = row[column] ?? '';
+    }
+    return normalized;
+  });
+}
+
+// Replaces the rows of one sheet and keeps everything else in the document.
+// A missing sheet is added; a single-sheet document becomes multi-sheet when
+// a second sheet is added to it.
+export function setSheetRows(sheetJSON, sheetName, rows) {
+  return updateSheetDocument(sheetJSON, { [sheetName]: { data: rows } });
+}
+
+function sameContent(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Read-modify-write with optimistic concurrency. The document is read again
+// right before the write; when someone else changed it in the meantime, the
+// change is re-applied to the latest content (a merge for keyed edits) unless
+// detectConflict reports that both sides touched the same data. DA has no
+// conditional writes, so this narrows the race to a single request.
+// mutate gets a copy of the content (null if missing) and returns the new
+// content, or null when there is nothing to write.
+export async function updateWithRetry({ read, write, mutate, detectConflict = null }) {
+  let base = await read();
+
+  for (let attempt = 1; attempt <= WRITE_ATTEMPTS; attempt++) {
+    const next = await mutate(structuredClone(base));
+    if (next === null) {
+      return { written: false, attempts: attempt, merged: attempt > 1 };
+    }
+
+    const current = await read();
+    if (sameContent(base, current)) {
+      await write(next);
+      return { written: true, attempts: attempt, merged: attempt > 1 };
+    }
+
+    const conflict = detectConflict ? detectConflict(base, current) : null;
+    if (conflict) {
+      return { written: false, attempts: attempt, conflict };
+    }
+
+    base = current;
+  }
+
+  return {
+    written: false,
+    attempts: WRITE_ATTEMPTS,
+    conflict: `The document kept changing while saving; gave up after ${WRITE_ATTEMPTS} attempts`
+  };
+}
+
+export function updateSheetJSON(org, repo, path, mutate, detectConflict = null) {
+  return updateWithRetry({
+    read: () => getSheetJSON(org, repo, path),
+    write: sheetJSON => uploadSheetJSON(org, repo, path, sheetJSON),
+    mutate,
+    detectConflict
+  });
+}
+
+// Conflict check for keyed edits: only a concurrent change to one of the
+// edited entries is a conflict, anything else is merged.
+export function entryConflict(keyField, keys, getSheet = getDataSheet) {
+  return (base, current) => {
+    const findEntry = (sheetJSON, key) => (getSheet(sheetJSON)?.data || []).find(item => item[keyField] === key);
+    const changed = keys.filter(key => !sameContent(findEntry(base, key), findEntry(current, key)));
+
+    return changed.length > 0
+      ? `${changed.map(key => `'${key}'`).join(', ')} changed by someone else while saving`
+      : null;
+  };
+}
+
 export async function addSheetItem(org, repo, entry, keyField, path, createSheetFn) {
-  const sheetJSON = await getSheetJSON(org, repo, path);
-  const dataSheet = sheetJSON ? getDataSheet(sheetJSON) : null;
+  let created = false;
+  let existed = false;
 
-  const created = !sheetJSON; // Track if we're creating the file for the first time
-  const existed = dataSheet ? entryExists(dataSheet, entry[keyField], keyField) : false;
-  const updatedDataSheet = addEntry(dataSheet, entry, keyField);
+  const write = await updateSheetJSON(org, repo, path, (sheetJSON) => {
+    const dataSheet = sheetJSON ? getDataSheet(sheetJSON) : null;
 
-  const newSheetJSON = createSheetFn(updatedDataSheet.data);
-  await uploadSheetJSON(org, repo, path, newSheetJSON);
+    created = !sheetJSON; // Track if we're creating the file for the first time
+    existed = dataSheet ? entryExists(dataSheet, entry[keyField], keyField) : false;
+    const updatedDataSheet = addEntry(dataSheet, entry, keyField);
+
+    return createSheetFn(updatedDataSheet.data, sheetJSON);
+  }, entryConflict(keyField, [entry[keyField]]));
+
+  if (write.conflict) {
+    return {
+      added: false,
+      conflict: true,
+      error: write.conflict,
+      path,
+      entry
+    };
+  }
 
   return {
     added: true,
     created,
     existed,
+    ...(write.merged ? { merged: true } : {}),
     path,
     entry
   };
 }
 
 export async function removeSheetItem(org, repo, key, keyField, path, createSheetFn) {
-  const sheetJSON = await getSheetJSON(org, repo, path);
+  let error = null;
 
-  if (!sheetJSON) {
-    return {
-      removed: false,
-      error: 'Sheet not found'
-    };
-  }
+  const write = await updateSheetJSON(org, repo, path, (sheetJSON) => {
+    if (!sheetJSON) {
+      error = 'Sheet not found';
+      return null;
+    }
 
-  const dataSheet = getDataSheet(sheetJSON);
+    const dataSheet = getDataSheet(sheetJSON);
+
+    if (!dataSheet) {
+      error = 'Data sheet not found';
+      return null;
+    }
 
-  if (!dataSheet) {
+    error = null;
+    const updatedDataSheet = removeEntry(dataSheet, key, keyField);
+    return createSheetFn(updatedDataSheet.data, sheetJSON);
+  }, entryConflict(keyField, [key]));
+
+  if (error || write.conflict) {
     return {
       removed: false,
-      error: 'Data sheet not found'
+      ...(write.conflict ? { conflict: true } : {}),
+      error: error || write.conflict
     };
   }
 
-  const updatedDataSheet = removeEntry(dataSheet, key, keyField);
-  const newSheetJSON = createSheetFn(updatedDataSheet.data);
-  await uploadSheetJSON(org, repo, path, newSheetJSON);
-
   return {
     removed: true,
+    ...(write.merged ? { merged: true } : {}),
     path
   };
 }
 
+function getItemLabel(item, keyField, index) {
+  return item[keyField] || item.key || item.name || `Item ${index + 1}`;
+}
+
+// Checks every item up front so one bad item does not hold back the batch.
+// Returns the entries to write and the per-item failures.
+function prepareSheetItems(items, keyField, createEntry) {
+  const prepared = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    try {
+      const entry = createEntry(item);
+      const key = entry[keyField];
+
+      if (typeof key !== 'string' || key.trim() === '') {
+        throw new Error(`Missing ${keyField}`);
+      }
+      if (seen.has(key)) {
+        throw new Error(`Duplicate ${keyField} '${key}' in batch`);
+      }
+
+      seen.add(key);
+      prepared.push({ item, entry });
+    } catch (error) {
+      prepared.push({ item, error: error.message });
+    }
+  }
+
+  return prepared;
+}
+
+// Applies all items to a single read of the sheet and writes it once. Items
+// that fail validation are reported and skipped; the rest are saved together.
 export async function setupSheetItems(org, repo, items, keyField, path, createSheetFn, createEntry) {
+  const prepared = prepareSheetItems(items, keyField, createEntry);
+  const valid = prepared.filter(({ entry }) => entry);
+  const existed = new Map();
+  let created = false;
+
+  const write = valid.length === 0
+    ? { written: false }
+    : await updateSheetJSON(org, repo, path, (sheetJSON) => {
+      let dataSheet = sheetJSON ? getDataSheet(sheetJSON) : null;
+
+      created = !sheetJSON;
+      existed.clear();
+      for (const { entry } of valid) {
+        existed.set(entry[keyField], entryExists(dataSheet, entry[keyField], keyField));
+        dataSheet = addEntry(dataSheet, entry, keyField);
+      }
+
+      return createSheetFn(dataSheet.data, sheetJSON);
+    }, entryConflict(keyField, valid.map(({ entry }) => entry[keyField])));
+
   const result = {
     summary: {
       total: items.length,
@@ -90,40 +277,30 @@ export async function setupSheetItems(org, repo, items, keyField, path, createSh
     errors: []
   };
 
-  for (const item of items) {
-    try {
-      const entry = createEntry(item);
-      const addResult = await addSheetItem(
-        org,
-        repo,
-        entry,
-        keyField,
-        path,
-        createSheetFn
-      );
-
-      result.items.push({
-        ...item,
-        success: true,
-        existed: addResult.existed
-      });
-
-      if (addResult.existed) {
-        result.summary.updated++;
-      } else {
-        result.summary.added++;
-      }
-    } catch (error) {
-      result.items.push({
-        ...item,
-        success: false,
-        error: error.message
-      });
+  prepared.forEach(({ item, entry, error }, index) => {
+    const failure = error || write.conflict;
+
+    if (failure) {
+      result.items.push({ ...item, success: false, error: failure });
       result.summary.failed++;
-      result.errors.push(`${item[keyField] || item.key || item.name}: ${error.message}`);
+      result.errors.push(`${getItemLabel(item, keyField, index)}: ${failure}`);
+      return;
     }
-  }
 
+    const itemExisted = existed.get(entry[keyField]);
+    result.items.push({ ...item, success: true, existed: itemExisted });
+
+    if (itemExisted) {
+      result.summary.updated++;
+    } else {
+      result.summary.added++;
+    }
+  });
+
+  result.created = created && write.written;
+  result.saved = Boolean(write.written);
+  if (write.merged) result.merged = true;
+  if (write.conflict) result.conflict = write.conflict;
   result.success = result.summary.failed === 0;
   return result;
 }
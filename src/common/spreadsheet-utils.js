@@ -0,0 +1,150 @@
+// src/common/spreadsheet-utils.js
+
+import ExcelJS from 'exceljs';
+
+const CSV_QUOTE_NEEDED = /[",\r\n]|^\s|\s$/;
+const BOM = '\ufeff';
+
+// Parses RFC 4180 CSV: quoted fields may contain commas, quotes ("") and
+// line breaks. Returns an array of records, each an array of strings.
+export function parseCSV(text) {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+function escapeCSVField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return CSV_QUOTE_NEEDED.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(columns, rows) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return `${lines.map(line => line.map(escapeCSVField).join(',')).join('\r\n')}\r\n`;
+}
+
+// Turns a header record plus value records into sheet rows. Unnamed columns
+// and rows without any value are dropped; column order follows the header.
+export function recordsToRows(records) {
+  const [header = [], ...body] = records;
+  const columns = [];
+  const indexes = [];
+
+  header.forEach((name, index) => {
+    const column = String(name ?? '').trim();
+    if (column && !columns.includes(column)) {
+      columns.push(column);
+      indexes.push(index);
+    }
+  });
+
+  const rows = body
+    .filter(record => record.some(value => String(value ?? '').trim() !== ''))
+    .map((record) => {
+      const row = {};
+      columns.forEach((column, i) => {
+        row[column] = String(record[indexes[i]] ?? '');
+      });
+      return row;
+    });
+
+  return { columns, rows };
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+
+  if (typeof value === 'object') {
+    if ('result' in value) return cellToString(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return cellToString(value.text);
+    if ('error' in value) return String(value.error);
+    return '';
+  }
+
+  return String(value);
+}
+
+// Reads every worksheet of an XLSX file, in workbook order, as
+// [{ name, records }] where the first record is the header row.
+export async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets.map((worksheet) => {
+    const records = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const record = [];
+      for (let column = 1; column <= worksheet.columnCount; column++) {
+        record.push(cellToString(row.getCell(column).value));
+      }
+      records[rowNumber - 1] = record;
+    });
+
+    return { name: worksheet.name, records: Array.from(records, record => record || []) };
+  });
+}
+
+// Writes [{ name, columns, rows }] as an XLSX workbook with one worksheet per
+// sheet. Values are written as text so they read back exactly as stored.
+export async function writeWorkbook(sheets) {
+  const workbook = new ExcelJS.Workbook();
+
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.addRow(sheet.columns);
+    worksheet.getRow(1).font = { bold: true };
+
+    for (const row of sheet.rows) {
+      worksheet.addRow(sheet.columns.map(column => String(row[column] ?? '')));
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
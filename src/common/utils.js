@@ -1,6 +1,10 @@
 import { USER_AGENT, ADMIN_API_URL } from "./global.js";
 
-async function parseResponseBody(response) {
+async function parseResponseBody(response, responseType) {
+  if (responseType === 'buffer' && response.ok) {
+    return Buffer.from(await response.arrayBuffer());
+  }
+
   const contentType = response.headers.get("content-type");
   if (contentType?.includes("application/json")) {
     try {
@@ -42,7 +46,7 @@ export async function daAdminRequest(
 
   const response = await fetch(url, init);
 
-  const responseBody = await parseResponseBody(response);
+  const responseBody = await parseResponseBody(response, options.responseType);
 
   if (!response.ok) {
     const errorMessage = typeof responseBody === 'string' 
@@ -86,3 +90,26 @@ export async function uploadJSON(url, jsonData) {
   body.set('data', blob);
   return daAdminRequest(url, { method: 'POST', body });
 }
+
+export async function uploadFile(url, data, contentType) {
+  const body = new FormData();
+  const blob = new Blob([data], { type: contentType });
+  body.set('data', blob);
+  return daAdminRequest(url, { method: 'POST', body });
+}
+
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -10,6 +10,20 @@ import { zodToJsonSchema } from 'zod-to-json-schema';
 
 import * as list from './operations/list.js';
 import * as source from './operations/source.js';
+import * as versions from './operations/versions.js';
+import * as pages from './operations/pages.js';
+import * as sheets from './operations/sheets.js';
+import * as sheetFiles from './operations/sheet-files.js';
+import * as replace from './operations/replace.js';
+import * as diff from './operations/diff.js';
+import * as search from './operations/search.js';
+import * as links from './operations/links.js';
+import * as fragments from './operations/fragments.js';
+import * as redirects from './operations/redirects.js';
+import * as metadata from './operations/metadata.js';
+import * as publish from './operations/publish.js';
+import * as siteExport from './operations/site-export.js';
+import * as siteImport from './operations/site-import.js';
 import * as media from './operations/media.js';
 import * as config from './operations/config.js';
 import * as blocks from './operations/blocks.js';
@@ -42,8 +56,39 @@ const server = new Server(
       Admin content can be accessed via: https://admin.da.live/source/<org>/<repo>/<path>.<extension>
       Published content can be accessed via: https://content.da.live/<org>/<repo>/<path>
 
+      da_admin_get_source and da_admin_create_source accept format: "markdown" for html files. Sections are separated by "---" lines and each block is a table whose header row holds the block name (e.g., "| Cards (two) |  |").
+      Prefer markdown when writing new pages instead of hand-building the <body><header><main> html.
+
+      Version tools allow you to list, read and restore previous versions of a document.
+      Before running tools that overwrite documents, use da_admin_create_version to save the current content.
+
+      Page tools parse a document into a JSON model (page metadata, sections, section-metadata, default content and blocks with rows of cells) and serialize it back.
+      Prefer editing pages through da_page_get_model / da_page_save_model over hand-editing HTML.
+
+      Sheet tools read, query, insert, update and delete rows of any JSON sheet (e.g., custom data sheets fetched by blocks). Use the sheet parameter to address one sheet of a multi-sheet document.
+      Prefer them over rebuilding sheet JSON by hand for da_admin_create_source.
+      da_sheet_export and da_sheet_import convert sheets to and from local CSV/XLSX files; each XLSX worksheet maps to one sheet of a multi-sheet document.
+
+      da_content_diff compares a page or sheet with another document, a local file or a previous version, returning a text diff and a structural diff (sections, blocks, metadata, or sheet rows keyed on a column).
+
+      Search tools build a full-text index of a site's pages (cached per org/repo/path and excludeFolders) and return ranked hits with snippets.
+
+      Fragment tools map which pages include which fragments (including nested fragments), report orphaned and missing fragments and cycles, and can inline a fragment into its consumers.
+
+      Redirect tools manage /redirects.json (source -> destination). Adds, updates and imports are validated against chains, loops and sources that still exist as pages.
+      When moving pages, pass redirects: true to da_admin_move_source to add redirects from the old URLs.
+
+      Bulk metadata tools manage /metadata.json, where each row maps a URL pattern to metadata columns. da_metadata_resolve explains a page's effective metadata (matching rows, later rows win, then the page's metadata block wins).
+
+      Publishing tools call the AEM admin API (https://admin.hlx.page, or AEM_ADMIN_API_URL) to preview, publish, unpublish and read the status of paths.
+      Saving in DA does not update the .aem.page preview or the .aem.live site; library and template tools take publish: true to preview what they generate.
+      da_aem_drift_report compares DA lastModified with the preview and live versions of every file under a folder to find never-published and stale content.
+
       Media tools allow you to lookup media and fragment references from sites.
       References are stored in .da/mediaindex/media.json and include all images, videos, documents, and fragments used across pages.
+      When media.json is missing, the media tools build the index by crawling pages; da_media_build_index with save: true writes it to .da/mediaindex/media.json.
+      Use da_media_upload to upload local images, icons, PDFs and videos; it returns content.da.live URLs for page HTML or icons.json.
+      To fix missing alt text, use da_media_update_alt: it sets the alt on every page using an image (preview by default) and updates the media cache.
 
       Library management tools allow you to:
       - Discover blocks from LOCAL file system or GitHub repositories
@@ -82,6 +127,20 @@ const server = new Server(
 const tools = [
   ...list.tools,
   ...source.tools,
+  ...versions.tools,
+  ...pages.tools,
+  ...sheets.tools,
+  ...sheetFiles.tools,
+  ...replace.tools,
+  ...diff.tools,
+  ...search.tools,
+  ...links.tools,
+  ...fragments.tools,
+  ...redirects.tools,
+  ...metadata.tools,
+  ...publish.tools,
+  ...siteExport.tools,
+  ...siteImport.tools,
   ...media.tools,
   ...config.tools,
   ...blocks.tools,
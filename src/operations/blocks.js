@@ -5,6 +5,8 @@ import { resolveBlockSource } from '../common/block-utils.js';
 import { daAdminRequest, formatURL, uploadHTML } from '../common/utils.js';
 import { buildLibraryPath, buildContentUrl } from '../common/library-cfg-utils.js';
 import { validateBlockName } from '../common/validation-utils.js';
+import { getPageHTML } from '../common/page-utils.js';
+import { parsePage, findBlocks, serializeBlockRows } from '../common/page-model.js';
 import { LIBRARY_TYPES } from '../common/global.js';
 
 const AnalyzeBlockSchema = z.object({
@@ -179,64 +181,17 @@ export function generateAutoDescription(blockName, structure, variants) {
     : `${blockName.charAt(0).toUpperCase() + blockName.slice(1)} block`;
 }
 
-async function fetchSourceDocument(org, repo, sourcePath) {
-  const url = formatURL('source', org, repo, sourcePath, 'html');
-  let result = await daAdminRequest(url);
-  
-  if (typeof result === 'string' && result.startsWith('"') && result.endsWith('"')) {
-    result = JSON.parse(result);
-  }
-  
-  return result;
-}
-
 function parseBlockInstances(html, blockName) {
   const blockInstances = {};
-  const openTagRegex = new RegExp(`<div([^>]*class="[^"]*\\b${blockName}\\b[^"]*"[^>]*)>`, 'gi');
-  
-  let match;
-  while ((match = openTagRegex.exec(html)) !== null) {
-    const openTag = match[0];
-    const attributes = match[1];
-    const startPos = match.index + openTag.length;
-    
-    const classMatch = attributes.match(/class="([^"]*)"/);
-    const classes = classMatch ? classMatch[1].split(/\s+/) : [];
-    const variant = classes.find(cls => cls !== blockName && !cls.startsWith(blockName + '-')) || '';
-    
-    if (blockInstances[variant]) {
-      continue;
-    }
-    
-    let depth = 1;
-    let pos = startPos;
-    const divOpenRegex = /<div[^>]*>/g;
-    const divCloseRegex = /<\/div>/g;
-    
-    while (depth > 0 && pos < html.length) {
-      divOpenRegex.lastIndex = pos;
-      divCloseRegex.lastIndex = pos;
-      
-      const nextOpen = divOpenRegex.exec(html);
-      const nextClose = divCloseRegex.exec(html);
-      
-      if (!nextClose) break;
-      
-      if (nextOpen && nextOpen.index < nextClose.index) {
-        depth++;
-        pos = nextOpen.index + nextOpen[0].length;
-      } else {
-        depth--;
-        if (depth === 0) {
-          const content = html.substring(startPos, nextClose.index).trim();
-          blockInstances[variant] = content;
-          break;
-        }
-        pos = nextClose.index + nextClose[0].length;
-      }
+
+  for (const block of findBlocks(parsePage(html), blockName)) {
+    const variant = block.variants.find(cls => !cls.startsWith(`${blockName}-`)) || '';
+
+    if (!blockInstances[variant]) {
+      blockInstances[variant] = serializeBlockRows(block);
     }
   }
-  
+
   return blockInstances;
 }
 
@@ -249,7 +204,9 @@ export async function extractBlockContent(org, repo, sourcePaths, blockName) {
   
   for (const sourcePath of paths) {
     try {
-      const html = await fetchSourceDocument(org, repo, sourcePath);
+      const html = await getPageHTML(org, repo, sourcePath);
+      if (!html) continue;
+
       const content = parseBlockInstances(html, blockName);
       
       if (content && Object.keys(content).length > 0) {
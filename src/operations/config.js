@@ -2,7 +2,8 @@
 
 import { z } from 'zod';
 import { daAdminRequest, formatURL } from '../common/utils.js';
-import { createMultiSheetJSON, parseMultiSheetJSON, addEntry, entryExists } from '../common/library-cfg-utils.js';
+import { updateSheetDocument, addEntry, entryExists } from '../common/library-cfg-utils.js';
+import { updateWithRetry, entryConflict } from '../common/sheet-utils.js';
 
 const GetConfigSchema = z.object({
   org: z.string().describe('The organization name'),
@@ -84,30 +85,17 @@ function createLibraryEntry(libraryType, configPath, existingEntries) {
   return ensureLibraryColumns(baseEntry, existingEntries);
 }
 
-function convertToMultiSheet(config) {
-  const existingDataSheet = {
-    total: config.total || 0,
-    data: config.data || []
-  };
-
-  if (config[':colWidths']) {
-    existingDataSheet[':colWidths'] = config[':colWidths'];
-  }
-
-  const librarySheet = {
-    total: 0,
-    limit: 0,
-    offset: 0,
-    data: []
-  };
+// Adds an empty library sheet and returns the one inside the new config, so
+// changes made to it end up in the config that is written
+function addLibrarySheet(config) {
+  const newConfig = updateSheetDocument(config, { library: { data: [] } });
+  return { newConfig, librarySheet: newConfig.library };
+}
 
+function convertToMultiSheet(config) {
   return {
-    newConfig: createMultiSheetJSON({
-      data: existingDataSheet,
-      library: librarySheet
-    }),
-    librarySheet,
-    preservedRows: existingDataSheet.data.length
+    ...addLibrarySheet(config),
+    preservedRows: (config.data || []).length
   };
 }
 
@@ -128,32 +116,14 @@ function ensureLibrarySheet(config) {
       };
     }
 
-    const sheets = parseMultiSheetJSON(config);
-    const librarySheet = {
-      total: 0,
-      limit: 0,
-      offset: 0,
-      data: []
-    };
-    sheets.library = librarySheet;
-
     return {
-      newConfig: createMultiSheetJSON(sheets),
-      librarySheet,
+      ...addLibrarySheet(config),
       preservedRows: 0
     };
   }
 
-  const librarySheet = {
-    total: 0,
-    limit: 0,
-    offset: 0,
-    data: []
-  };
-
   return {
-    newConfig: createMultiSheetJSON({ library: librarySheet }),
-    librarySheet,
+    ...addLibrarySheet(null),
     preservedRows: 0
   };
 }
@@ -197,30 +167,52 @@ async function checkLibraryRegistration(org, repo, libraryType) {
 
 async function registerLibraryType(org, repo, libraryType, configPath) {
   try {
-    const config = await getSiteConfig(org, repo);
-    const { newConfig, librarySheet, preservedRows, sheetExisted } = ensureLibrarySheet(config);
-
-    const existingIndex = librarySheet.data.findIndex(item => item.title === libraryType);
-    const existed = existingIndex >= 0;
-
-    if (existed) {
-      librarySheet.data[existingIndex].path = configPath;
-    } else {
-      const newEntry = createLibraryEntry(libraryType, configPath, librarySheet.data);
-      librarySheet.data.push(newEntry);
+    let state;
+
+    const write = await updateWithRetry({
+      read: () => getSiteConfig(org, repo),
+      write: newConfig => uploadConfig(org, repo, newConfig),
+      mutate: (config) => {
+        const { newConfig, librarySheet, sheetExisted } = ensureLibrarySheet(config);
+
+        const existingIndex = librarySheet.data.findIndex(item => item.title === libraryType);
+        const existed = existingIndex >= 0;
+
+        if (existed) {
+          librarySheet.data[existingIndex].path = configPath;
+        } else {
+          const newEntry = createLibraryEntry(libraryType, configPath, librarySheet.data);
+          librarySheet.data.push(newEntry);
+        }
+
+        librarySheet.total = librarySheet.data.length;
+        librarySheet.limit = librarySheet.data.length;
+
+        state = {
+          existed,
+          createdSheet: !sheetExisted,
+          convertedToMultiSheet: config[':type'] === 'sheet',
+          libraryEntryCount: librarySheet.total
+        };
+        return newConfig;
+      },
+      detectConflict: entryConflict('title', [libraryType], config => config?.library)
+    });
+
+    if (write.conflict) {
+      return {
+        registered: false,
+        existed: false,
+        createdSheet: false,
+        conflict: true,
+        error: write.conflict
+      };
     }
 
-    librarySheet.total = librarySheet.data.length;
-    librarySheet.limit = librarySheet.data.length;
-
-    await uploadConfig(org, repo, newConfig);
-
     return {
       registered: true,
-      existed,
-      createdSheet: !sheetExisted,
-      convertedToMultiSheet: config[':type'] === 'sheet',
-      libraryEntryCount: librarySheet.total,
+      ...state,
+      ...(write.merged ? { merged: true } : {}),
       error: null
     };
   } catch (error) {
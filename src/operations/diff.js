@@ -0,0 +1,119 @@
+// src/operations/diff.js
+
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+import { daAdminRequest, formatURL } from '../common/utils.js';
+import { createUnifiedDiff, diffPageStructure, diffSheetStructure } from '../common/diff-utils.js';
+import { getPageHTML, unwrapPageHTML } from '../common/page-utils.js';
+import { getVersion } from './versions.js';
+
+const ContentDiffSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the document (without extension)'),
+  ext: z.enum(['html', 'json']).optional().default('html').describe('Document type: html page or json sheet (default: html)'),
+  otherPath: z.string().optional().describe('Compare path (before) with this other DA document (after), same extension'),
+  localFile: z.string().optional().describe('Compare path (before) with this local file (after), e.g. to see what uploading it would change'),
+  versionId: z.string().optional().describe('Compare this version (before) of path with its current content (after). Ids come from da_admin_list_versions'),
+  keyColumn: z.string().optional().describe('For sheets: column that identifies rows (default: the first column of each sheet)'),
+  includeTextDiff: z.boolean().optional().default(true).describe('Include a unified text diff (default: true)')
+});
+
+async function fetchSource(org, repo, path) {
+  try {
+    return await daAdminRequest(formatURL('source', org, repo, path, 'json'));
+  } catch (error) {
+    if (error.message?.includes('404')) return null;
+    throw error;
+  }
+}
+
+// Pages go through getPageHTML so both sides are unwrapped the same way
+function loadDocument(org, repo, path, ext) {
+  return ext === 'html' ? getPageHTML(org, repo, path) : fetchSource(org, repo, path);
+}
+
+function parseJSONContent(content, label) {
+  if (content === null || typeof content === 'object') return content;
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error.message}`);
+  }
+}
+
+async function loadSides(args) {
+  const { org, repo, path, ext } = args;
+  const targets = [args.otherPath, args.localFile, args.versionId].filter(Boolean);
+
+  if (targets.length !== 1) {
+    throw new Error('Provide exactly one of otherPath, localFile or versionId');
+  }
+
+  const current = { label: `${path}.${ext}`, content: await loadDocument(org, repo, path, ext) };
+
+  if (args.otherPath) {
+    const otherPath = args.otherPath.replace(new RegExp(`\\.${ext}$`), '');
+    return [current, { label: `${otherPath}.${ext}`, content: await loadDocument(org, repo, otherPath, ext) }];
+  }
+
+  if (args.localFile) {
+    const localPath = resolve(args.localFile);
+    return [current, { label: localPath, content: await fs.readFile(localPath, 'utf-8') }];
+  }
+
+  const version = await getVersion(org, repo, path, ext, args.versionId);
+  const content = ext === 'html' ? unwrapPageHTML(version.content) : version.content;
+  return [{ label: `${path}.${ext}@${args.versionId}`, content }, current];
+}
+
+async function diffContent(args) {
+  const [before, after] = await loadSides(args);
+  const result = {
+    before: { source: before.label, exists: before.content !== null },
+    after: { source: after.label, exists: after.content !== null }
+  };
+
+  if (args.ext === 'json') {
+    const beforeJSON = parseJSONContent(before.content, before.label);
+    const afterJSON = parseJSONContent(after.content, after.label);
+    const beforeText = beforeJSON ? `${JSON.stringify(beforeJSON, null, 2)}\n` : '';
+    const afterText = afterJSON ? `${JSON.stringify(afterJSON, null, 2)}\n` : '';
+
+    result.identical = beforeText === afterText;
+    result.structure = diffSheetStructure(beforeJSON, afterJSON, args.keyColumn);
+    if (args.includeTextDiff) {
+      result.textDiff = result.identical ? '' : createUnifiedDiff(before.label, after.label, beforeText, afterText, { html: false });
+    }
+    return result;
+  }
+
+  const beforeHTML = before.content ?? '';
+  const afterHTML = after.content ?? '';
+
+  result.identical = beforeHTML === afterHTML;
+  result.structure = diffPageStructure(beforeHTML, afterHTML);
+  if (args.includeTextDiff) {
+    result.textDiff = result.identical ? '' : createUnifiedDiff(before.label, after.label, beforeHTML, afterHTML);
+  }
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_content_diff',
+    description: 'Compare a DA page or sheet with another DA document, a local file or a previous version. Returns a unified text diff plus a structural diff: for pages, metadata keys, sections and blocks added/removed/changed; for sheets, sheets, columns and rows added/removed/changed keyed on a column. Use before overwriting templates or regenerating block docs',
+    schema: ContentDiffSchema,
+    handler: async (args) => {
+      const result = await diffContent(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ext: args.ext,
+        ...result
+      };
+    }
+  }
+];
@@ -0,0 +1,412 @@
+// src/operations/fragments.js
+
+import { z } from 'zod';
+import { crawlPages, getPageHTML, uploadPageHTML, cleanPagePath } from '../common/page-utils.js';
+import { cleanSitePath } from '../common/list-utils.js';
+import { extractReferences, resolveSitePath, buildSiteIndex, findTarget, FRAGMENT_BLOCK } from '../common/link-utils.js';
+import { getSectionGroups, isBlockNode, METADATA_BLOCK, SECTION_METADATA_BLOCK } from '../common/page-model.js';
+import { parseHTML, serializeHTML, findFirst, findAll, isElement, isBlankText, getAttribute, getClassList } from '../common/html-utils.js';
+import { createUnifiedDiff } from '../common/diff-utils.js';
+import { getMediaReferences } from './media.js';
+
+const FragmentBaseSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Folder whose pages are scanned for fragment references (default: /)'),
+  excludeFolders: z.array(z.string()).optional().default(['/.da']).describe('Folders to skip (default: ["/.da"])'),
+  fragmentsFolder: z.string().optional().default('/fragments').describe('Folder holding fragments. Fragments there without consumers are reported as orphans (default: /fragments)'),
+  source: z.enum(['crawl', 'mediaIndex']).optional().default('crawl').describe('Where references come from: crawl every page (accurate) or read .da/mediaindex (fast, may be stale) (default: crawl)')
+});
+
+const FragmentUsageSchema = FragmentBaseSchema.extend({
+  fragment: z.string().describe('Fragment path (e.g., "/fragments/promo")')
+});
+
+const InlineFragmentSchema = FragmentUsageSchema.extend({
+  consumers: z.array(z.string()).optional().describe('Only inline into these pages (default: every page that directly includes the fragment)'),
+  preview: z.boolean().optional().default(true).describe('Preview mode - return a unified diff per page without saving (default: true)')
+});
+
+function resolveFragment(siteIndex, args, consumer, url) {
+  const target = resolveSitePath(url, { org: args.org, repo: args.repo, pagePath: consumer });
+  if (target === null) return null;
+
+  const file = findTarget(siteIndex, target);
+  return { path: cleanPagePath(file || target), exists: !!file };
+}
+
+async function collectReferences(args, siteIndex, addReference) {
+  if (args.source === 'mediaIndex') {
+    const sitePath = cleanSitePath(args.path);
+    const items = await getMediaReferences(args.org, args.repo, sitePath || undefined);
+
+    for (const item of items) {
+      if (item.doc && item.url && item.type?.toLowerCase().includes('fragment')) {
+        addReference(cleanPagePath(item.doc), item.url);
+      }
+    }
+    return { pagesCrawled: 0, errors: [] };
+  }
+
+  return crawlPages(args.org, args.repo, args.path, { excludeFolders: args.excludeFolders }, ({ path, html }) => {
+    for (const reference of extractReferences(html)) {
+      if (reference.type === 'fragment') addReference(path, reference.url);
+    }
+  });
+}
+
+async function buildFragmentGraph(args) {
+  const siteIndex = await buildSiteIndex(args.org, args.repo, '/');
+  const includes = new Map();
+  const consumers = new Map();
+  const fragments = new Map();
+
+  const addFragment = (path, exists) => {
+    if (!fragments.has(path)) fragments.set(path, { path, exists });
+    if (!includes.has(path)) includes.set(path, new Set());
+    if (!consumers.has(path)) consumers.set(path, new Set());
+  };
+
+  const folder = cleanSitePath(args.fragmentsFolder).toLowerCase();
+  for (const file of siteIndex.values()) {
+    if (file.endsWith('.html') && file.toLowerCase().startsWith(`${folder}/`)) {
+      addFragment(cleanPagePath(file), true);
+    }
+  }
+
+  const crawl = await collectReferences(args, siteIndex, (consumer, url) => {
+    const fragment = resolveFragment(siteIndex, args, consumer, url);
+    if (!fragment) return;
+
+    addFragment(fragment.path, fragment.exists);
+    consumers.get(fragment.path).add(consumer);
+    if (!includes.has(consumer)) includes.set(consumer, new Set());
+    includes.get(consumer).add(fragment.path);
+  });
+
+  return { siteIndex, fragments, includes, consumers, crawl };
+}
+
+// Every page that ends up rendering the fragment, directly or through other
+// fragments. Fragments on the way are reported separately as "via".
+function getTransitiveConsumers(graph, fragment) {
+  const pages = new Set();
+  const via = new Set();
+  const queue = [fragment];
+  const seen = new Set([fragment]);
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const consumer of graph.consumers.get(current) || []) {
+      if (seen.has(consumer)) continue;
+      seen.add(consumer);
+
+      if (graph.fragments.has(consumer)) {
+        via.add(consumer);
+        queue.push(consumer);
+      } else {
+        pages.add(consumer);
+      }
+    }
+  }
+
+  return { pages: [...pages].sort(), via: [...via].sort() };
+}
+
+function findCycles(graph) {
+  const cycles = new Map();
+  const state = new Map();
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 'visiting');
+    stack.push(node);
+
+    for (const next of graph.includes.get(node) || []) {
+      if (!graph.fragments.has(next)) continue;
+
+      if (state.get(next) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(next));
+        // Rotate so the same cycle found from another node is reported once
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+        cycles.set(rotated.join(' > '), [...rotated, rotated[0]]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+
+    stack.pop();
+    state.set(node, 'done');
+  };
+
+  for (const fragment of graph.fragments.keys()) {
+    if (!state.has(fragment)) visit(fragment);
+  }
+
+  return [...cycles.values()];
+}
+
+function describeFragment(graph, fragment) {
+  const info = graph.fragments.get(fragment);
+  const transitive = getTransitiveConsumers(graph, fragment);
+
+  return {
+    path: fragment,
+    exists: info.exists,
+    directConsumers: [...graph.consumers.get(fragment)].sort(),
+    pages: transitive.pages,
+    via: transitive.via,
+    includes: [...graph.includes.get(fragment)].filter(path => graph.fragments.has(path)).sort()
+  };
+}
+
+async function listFragments(args) {
+  const graph = await buildFragmentGraph(args);
+  const fragments = [...graph.fragments.keys()].sort().map(path => describeFragment(graph, path));
+  const cycles = findCycles(graph);
+
+  const orphans = fragments.filter(fragment => fragment.exists && fragment.directConsumers.length === 0);
+  const missing = fragments.filter(fragment => !fragment.exists);
+
+  return {
+    source: args.source,
+    summary: {
+      fragments: fragments.length,
+      orphans: orphans.length,
+      missing: missing.length,
+      cycles: cycles.length,
+      pagesCrawled: graph.crawl.pagesCrawled
+    },
+    fragments: fragments.map(fragment => ({
+      path: fragment.path,
+      exists: fragment.exists,
+      directConsumers: fragment.directConsumers.length,
+      pages: fragment.pages.length,
+      includes: fragment.includes
+    })),
+    orphans: orphans.map(fragment => fragment.path),
+    missing: missing.map(fragment => ({ path: fragment.path, referencedBy: fragment.directConsumers })),
+    cycles,
+    errors: graph.crawl.errors.map(error => `${error.path}: ${error.error}`)
+  };
+}
+
+async function getFragmentUsage(args) {
+  const graph = await buildFragmentGraph(args);
+  const fragment = cleanPagePath(cleanSitePath(args.fragment));
+
+  if (!graph.fragments.has(fragment)) {
+    return {
+      fragment,
+      found: false,
+      exists: !!findTarget(graph.siteIndex, fragment),
+      directConsumers: [],
+      pages: [],
+      via: [],
+      includes: []
+    };
+  }
+
+  const cycles = findCycles(graph).filter(cycle => cycle.includes(fragment));
+  return {
+    fragment,
+    found: true,
+    ...describeFragment(graph, fragment),
+    cycles
+  };
+}
+
+// Content of the fragment as one list of nodes: section wrappers are dropped
+// and so are the page and section metadata blocks, which belong to the fragment
+function getFragmentContent(html) {
+  const nodes = parseHTML(html);
+  const main = findFirst(nodes, node => isElement(node, 'main'));
+  const groups = main ? getSectionGroups(main) : [nodes];
+  const warnings = [];
+
+  if (groups.length > 1) {
+    warnings.push(`Fragment has ${groups.length} sections; their content is inlined without section breaks`);
+  }
+
+  const content = groups.flat().filter(node => {
+    if (!isBlockNode(node)) return true;
+    const name = getClassList(node)[0];
+    if (name === SECTION_METADATA_BLOCK) {
+      warnings.push('Fragment section metadata is not inlined');
+      return false;
+    }
+    return name !== METADATA_BLOCK;
+  });
+
+  return { html: serializeHTML(content), warnings };
+}
+
+function findParent(nodes, target) {
+  for (const node of nodes) {
+    if (!node.children) continue;
+    if (node.children.includes(target)) return node;
+    const parent = findParent(node.children, target);
+    if (parent) return parent;
+  }
+  return null;
+}
+
+function replaceNode(root, node, replacement) {
+  const parent = findParent(root, node);
+  const siblings = parent ? parent.children : root;
+  siblings.splice(siblings.indexOf(node), 1, ...replacement);
+}
+
+// Replaces fragment blocks and paragraphs holding only a fragment link with
+// the fragment content. Links inside running text are left alone.
+function inlineIntoPage(html, isFragmentLink, contentHTML) {
+  const root = parseHTML(html);
+  let replaced = 0;
+  let skipped = 0;
+
+  const blocks = findAll(root, node => isBlockNode(node) && getClassList(node)[0] === FRAGMENT_BLOCK);
+  for (const block of blocks) {
+    const links = findAll(block.children, node => isElement(node, 'a'));
+    if (links.some(link => isFragmentLink(getAttribute(link, 'href')))) {
+      replaceNode(root, block, parseHTML(contentHTML));
+      replaced++;
+    }
+  }
+
+  const links = findAll(root, node => isElement(node, 'a') && isFragmentLink(getAttribute(node, 'href')));
+  for (const link of links) {
+    const parent = findParent(root, link);
+    const standalone = isElement(parent, 'p')
+      && parent.children.every(child => child === link || isBlankText(child));
+
+    if (standalone) {
+      replaceNode(root, parent, parseHTML(contentHTML));
+      replaced++;
+    } else {
+      skipped++;
+    }
+  }
+
+  return { html: serializeHTML(root), replaced, skipped };
+}
+
+async function inlineFragment(args) {
+  const result = {
+    preview: args.preview,
+    summary: {
+      consumers: 0,
+      updated: 0,
+      referencesReplaced: 0,
+      inlineLinksSkipped: 0,
+      failed: 0
+    },
+    pages: [],
+    warnings: [],
+    errors: []
+  };
+
+  const fragment = cleanPagePath(cleanSitePath(args.fragment));
+  const fragmentHTML = await getPageHTML(args.org, args.repo, fragment);
+  if (fragmentHTML === null) {
+    result.errors.push(`Fragment not found: ${fragment}`);
+    result.success = false;
+    return result;
+  }
+
+  const content = getFragmentContent(fragmentHTML);
+  result.warnings.push(...new Set(content.warnings));
+
+  let consumers = args.consumers?.map(path => cleanPagePath(cleanSitePath(path)));
+  let siteIndex;
+  if (!consumers) {
+    const graph = await buildFragmentGraph({ ...args, source: 'crawl' });
+    siteIndex = graph.siteIndex;
+    consumers = [...(graph.consumers.get(fragment) || [])].sort();
+  } else {
+    siteIndex = await buildSiteIndex(args.org, args.repo, '/');
+  }
+  result.summary.consumers = consumers.length;
+
+  for (const path of consumers) {
+    try {
+      const html = await getPageHTML(args.org, args.repo, path);
+      if (html === null) {
+        throw new Error('Page not found');
+      }
+
+      const isFragmentLink = (href) => resolveFragment(siteIndex, args, path, href || '')?.path === fragment;
+      const inlined = inlineIntoPage(html, isFragmentLink, content.html);
+      result.summary.inlineLinksSkipped += inlined.skipped;
+
+      if (inlined.replaced === 0) {
+        result.pages.push({ path, status: 'unchanged', inlineLinksSkipped: inlined.skipped });
+        continue;
+      }
+
+      const pageResult = { path, referencesReplaced: inlined.replaced, inlineLinksSkipped: inlined.skipped };
+      if (args.preview) {
+        pageResult.status = 'planned';
+        pageResult.diff = createUnifiedDiff(`${path}.html`, `${path}.html`, html, inlined.html);
+      } else {
+        await uploadPageHTML(args.org, args.repo, path, inlined.html);
+        pageResult.status = 'updated';
+      }
+
+      result.pages.push(pageResult);
+      result.summary.updated++;
+      result.summary.referencesReplaced += inlined.replaced;
+    } catch (error) {
+      result.pages.push({ path, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${path}: ${error.message}`);
+    }
+  }
+
+  result.fragment = fragment;
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_fragments_list',
+    description: 'List all fragments of a site with how many pages include them (directly and through nested fragments) and which fragments they include. Reports orphaned fragments (in the fragments folder but never included), missing fragments (referenced but not found) and inclusion cycles',
+    schema: FragmentBaseSchema,
+    handler: async (args) => {
+      const result = await listFragments(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  },
+  {
+    name: 'da_fragments_find_usage',
+    description: 'Show which pages include a fragment: direct consumers, every page that renders it through nested fragments, the fragments in between, the fragments it includes itself and any cycle it is part of',
+    schema: FragmentUsageSchema,
+    handler: async (args) => {
+      const result = await getFragmentUsage(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        ...result
+      };
+    }
+  },
+  {
+    name: 'da_fragments_inline',
+    description: 'Replace references to a fragment (fragment blocks and paragraphs holding only the fragment link) with the fragment content in every page that includes it. The fragment itself is kept. PREVIEWS by default: returns a unified diff per page; call again with preview=false to save',
+    schema: InlineFragmentSchema,
+    handler: async (args) => {
+      const result = await inlineFragment(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        ...result
+      };
+    }
+  }
+];
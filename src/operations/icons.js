@@ -5,6 +5,7 @@ import { buildLibraryPath, buildContentUrl, createLibraryJSON } from '../common/
 import { listSheetItems, addSheetItem, removeSheetItem, setupSheetItems } from '../common/sheet-utils.js';
 import { LIBRARY_TYPES } from '../common/global.js';
 import { registerLibraryType } from './config.js';
+import { previewPaths } from '../common/aem-utils.js';
 
 const ListIconsSchema = z.object({
   org: z.string().describe('The organization name'),
@@ -17,7 +18,8 @@ const AddIconSchema = z.object({
   repo: z.string().describe('The repository name'),
   key: z.string().describe('Icon key (e.g., "search", "email")'),
   icon: z.string().describe('Icon URL (e.g., https://content.da.live/org/repo/media/icons/search.svg)'),
-  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)')
+  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)'),
+  publish: z.boolean().optional().default(false).describe('Preview icons.json through the AEM admin API after saving (default: false)')
 });
 
 const RemoveIconSchema = z.object({
@@ -34,15 +36,16 @@ const SetupIconsSchema = z.object({
     key: z.string().describe('Icon key'),
     icon: z.string().describe('Icon URL')
   })).describe('Array of icons to create'),
-  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)')
+  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)'),
+  publish: z.boolean().optional().default(false).describe('Preview icons.json through the AEM admin API after saving (default: false)')
 });
 
 function getIconsPath(baseFolder) {
   return buildLibraryPath(LIBRARY_TYPES.ICONS, baseFolder);
 }
 
-function createIconsJSON(entries) {
-  return createLibraryJSON(LIBRARY_TYPES.ICONS, entries);
+function createIconsJSON(entries, existing = null) {
+  return createLibraryJSON(LIBRARY_TYPES.ICONS, entries, null, existing);
 }
 
 function createIconEntry(item) {
@@ -90,6 +93,10 @@ export const tools = [
       const regResult = await registerLibraryType(args.org, args.repo, 'Icons', configUrl);
       result.registered = regResult.registered;
       result.alreadyRegistered = regResult.existed;
+
+      if (args.publish && result.added) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [`${getIconsPath(args.baseFolder)}.json`]);
+      }
       
       return buildResponse(args, result);
     }
@@ -113,7 +120,7 @@ export const tools = [
   },
   {
     name: 'da_library_setup_icons',
-    description: 'Batch setup icons. Creates or updates multiple icons in icons.json. Automatically registers in library.',
+    description: 'Batch setup icons. Creates or updates multiple icons in icons.json with a single read and write, reporting the result of each icon. Automatically registers in library.',
     schema: SetupIconsSchema,
     handler: async (args) => {
       const result = await setupSheetItems(
@@ -126,13 +133,19 @@ export const tools = [
         createIconEntry
       );
       
-      const configUrl = `${buildContentUrl(args.org, args.repo, getIconsPath(args.baseFolder))}.json`;
-      const regResult = await registerLibraryType(args.org, args.repo, 'Icons', configUrl);
-      result.registered = regResult.registered;
-      result.librarySheet = {
-        existed: !regResult.createdSheet,
-        entryCount: regResult.libraryEntryCount
-      };
+      if (result.saved) {
+        const configUrl = `${buildContentUrl(args.org, args.repo, getIconsPath(args.baseFolder))}.json`;
+        const regResult = await registerLibraryType(args.org, args.repo, 'Icons', configUrl);
+        result.registered = regResult.registered;
+        result.librarySheet = {
+          existed: !regResult.createdSheet,
+          entryCount: regResult.libraryEntryCount
+        };
+      }
+
+      if (args.publish && result.saved) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [`${getIconsPath(args.baseFolder)}.json`]);
+      }
       
       return buildResponse(args, result);
     }
@@ -12,9 +12,12 @@ import {
   addEntry
 } from '../common/library-cfg-utils.js';
 import { validateDADestination } from '../common/validation-utils.js';
+import { listFilesRecursive } from '../common/list-utils.js';
+import { updateWithRetry, entryConflict } from '../common/sheet-utils.js';
 import { generateBlockTemplate, extractBlockContent, analyzeBlock } from './blocks.js';
-import { LIBRARY_TYPES, ADMIN_API_URL } from '../common/global.js';
+import { LIBRARY_TYPES } from '../common/global.js';
 import { registerLibraryType } from './config.js';
+import { previewPaths } from '../common/aem-utils.js';
 
 const AddBlockSchema = z.object({
   org: z.string().optional().describe('DA organization (destination for documentation). If not provided, will auto-detect from git origin'),
@@ -34,7 +37,8 @@ const AddBlockSchema = z.object({
   requestSamplePages: z.boolean().optional().default(false).describe('If true, returns suggestions for sample pages where blocks might be found, then exits (default: false)'),
   autoDetect: z.boolean().optional().default(true).describe('Auto-detect org/repo from current project if not provided (default: true)'),
   confirmDetection: z.boolean().optional().default(false).describe('If true and auto-detection is used, returns detection results for confirmation without executing (default: false)'),
-  preview: z.boolean().optional().default(false).describe('Preview mode - show plan without executing (default: false)')
+  preview: z.boolean().optional().default(false).describe('Preview mode - show plan without executing (default: false)'),
+  publish: z.boolean().optional().default(false).describe('Preview the generated documentation and blocks.json through the AEM admin API after saving (default: false)')
 });
 
 const SetupSchema = z.object({
@@ -56,9 +60,12 @@ const SetupSchema = z.object({
   preserveExisting: z.boolean().optional().default(true).describe('Preserve existing documentation (default: true)'),
   autoDetect: z.boolean().optional().default(true).describe('Auto-detect org/repo from current project if not provided (default: true)'),
   confirmDetection: z.boolean().optional().default(false).describe('If true and auto-detection is used, returns detection results for confirmation without executing (default: false)'),
-  preview: z.boolean().optional().default(false).describe('Preview mode - show plan without executing (default: false)')
+  preview: z.boolean().optional().default(false).describe('Preview mode - show plan without executing (default: false)'),
+  publish: z.boolean().optional().default(false).describe('Preview the generated documentation and blocks.json through the AEM admin API after saving (default: false)')
 });
 
+const SAMPLE_PAGES_MAX_DEPTH = 2;
+
 function buildBlockFilePath(blockName, fileName) {
   return `${blockName}/${fileName}`;
 }
@@ -105,18 +112,15 @@ async function resolveOrgRepo(args) {
 
 async function listAvailablePages(org, repo) {
   try {
-    const url = `${ADMIN_API_URL}/list/${org}/${repo}/`;
-    const response = await daAdminRequest(url);
-    
-    if (!response || !Array.isArray(response)) {
-      return [];
-    }
-    
-    // Filter for HTML pages only
-    return response
-      .filter(item => item.ext === 'html' || item.path.endsWith('.html'))
-      .map(item => item.path)
-      .filter(path => !path.includes('/drafts/') && !path.includes('/fragments/'))
+    const pages = await listFilesRecursive(org, repo, '/', {
+      maxDepth: SAMPLE_PAGES_MAX_DEPTH,
+      extensions: ['html'],
+      excludeFolders: ['/drafts', '/fragments', '/.da', '/library']
+    });
+
+    // Paths without extension, so they can be passed as sourceDocuments
+    return pages
+      .map(item => item.path.replace(/\.html$/, ''))
       .sort();
   } catch {
     return [];
@@ -218,21 +222,32 @@ async function getExistingBlocksConfig(org, repo, baseFolder) {
 
 async function updateBlocksConfig(org, repo, baseFolder, entries) {
   const configPath = buildLibraryPath(LIBRARY_TYPES.BLOCKS, baseFolder);
-  const blocksJSON = await getExistingBlocksConfig(org, repo, baseFolder);
+  let optionsSheet = null;
 
-  let dataSheet = getDataSheet(blocksJSON);
-  const optionsSheet = getOptionsSheet(blocksJSON);
+  const write = await updateWithRetry({
+    read: () => getExistingBlocksConfig(org, repo, baseFolder),
+    write: newBlocksJSON => uploadJSONContent(org, repo, configPath, newBlocksJSON),
+    mutate: (blocksJSON) => {
+      let dataSheet = getDataSheet(blocksJSON);
+      optionsSheet = getOptionsSheet(blocksJSON);
 
-  for (const entry of entries) {
-    dataSheet = addEntry(dataSheet, entry);
-  }
+      for (const entry of entries) {
+        dataSheet = addEntry(dataSheet, entry);
+      }
 
-  const newBlocksJSON = createLibraryJSON(LIBRARY_TYPES.BLOCKS, dataSheet.data, optionsSheet);
-  await uploadJSONContent(org, repo, configPath, newBlocksJSON);
+      return createLibraryJSON(LIBRARY_TYPES.BLOCKS, dataSheet.data, null, blocksJSON);
+    },
+    detectConflict: entryConflict('name', entries.map(entry => entry.name))
+  });
+
+  if (write.conflict) {
+    throw new Error(`Conflict updating ${configPath}.json: ${write.conflict}`);
+  }
 
   return {
     configPath,
-    optionsPreserved: !!optionsSheet
+    optionsPreserved: !!optionsSheet,
+    ...(write.merged ? { merged: true } : {})
   };
 }
 
@@ -287,7 +302,7 @@ async function processBlockDocumentation(source, org, repo, blockName, baseFolde
 }
 
 async function addBlock(args) {
-  const { blockName, baseFolder, description, sourceDocuments, preview, confirmDetection, requestSamplePages } = args;
+  const { blockName, baseFolder, description, sourceDocuments, preview, publish, confirmDetection, requestSamplePages } = args;
   const sources = normalizeSourceDocuments(sourceDocuments);
 
   const result = {
@@ -399,6 +414,14 @@ async function addBlock(args) {
         libraryType: 'Blocks'
       });
 
+      if (publish) {
+        result.steps.push({
+          step: 7,
+          action: 'Would preview documentation and blocks.json',
+          status: 'planned'
+        });
+      }
+
       return result;
     }
 
@@ -429,6 +452,15 @@ async function addBlock(args) {
       entryCount: regResult.libraryEntryCount
     };
 
+    if (publish) {
+      result.steps.push({ step: 7, action: 'Previewing documentation and blocks.json', status: 'in_progress' });
+
+      const aemPreview = await previewPaths(org, repo, [docPath, `${configResult.configPath}.json`]);
+
+      result.steps[6].status = aemPreview.success ? 'completed' : 'failed';
+      result.steps[6].paths = aemPreview.paths;
+    }
+
     result.success = true;
     return result;
 
@@ -485,7 +517,7 @@ async function processBlock(source, org, repo, blockName, baseFolder, sourceDocu
 }
 
 async function setup(args) {
-  const { baseFolder, filter, sourceDocuments, autoGenerateDocs, preserveExisting, preview, confirmDetection, requestSamplePages } = args;
+  const { baseFolder, filter, sourceDocuments, autoGenerateDocs, preserveExisting, preview, publish, confirmDetection, requestSamplePages } = args;
   const sources = normalizeSourceDocuments(sourceDocuments);
 
   const result = {
@@ -603,6 +635,13 @@ async function setup(args) {
           existed: !regResult.createdSheet,
           entryCount: regResult.libraryEntryCount
         };
+
+        if (publish) {
+          const generatedDocs = result.blocks
+            .filter(block => block.action === 'created' || block.action === 'updated')
+            .map(block => block.docPath);
+          result.aemPreview = await previewPaths(org, repo, [...generatedDocs, `${configResult.configPath}.json`]);
+        }
       }
     }
     
@@ -1,7 +1,7 @@
 // src/operations/library.js
 
 import { z } from 'zod';
-import { getSheetJSON, listSheetItems, uploadSheetJSON } from '../common/sheet-utils.js';
+import { listSheetItems, uploadSheetJSON, updateSheetJSON, entryConflict } from '../common/sheet-utils.js';
 import {
   buildLibraryPath,
   buildContentUrl,
@@ -13,6 +13,7 @@ import {
   entryExists
 } from '../common/library-cfg-utils.js';
 import { LIBRARY_TYPES } from '../common/global.js';
+import { previewPaths } from '../common/aem-utils.js';
 
 const ListBlocksSchema = z.object({
   org: z.string().describe('The organization name'),
@@ -25,7 +26,8 @@ const AddBlockSchema = z.object({
   repo: z.string().describe('The repository name'),
   blockName: z.string().describe('The block name'),
   displayName: z.string().optional().describe('Optional display name (defaults to blockName)'),
-  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)')
+  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)'),
+  publish: z.boolean().optional().default(false).describe('Preview blocks.json through the AEM admin API after saving (default: false)')
 });
 
 const RemoveBlockSchema = z.object({
@@ -42,7 +44,8 @@ const CreateBlocksJSONSchema = z.object({
     name: z.string(),
     path: z.string()
   })).describe('Array of block entries'),
-  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)')
+  baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)'),
+  publish: z.boolean().optional().default(false).describe('Preview blocks.json through the AEM admin API after saving (default: false)')
 });
 
 function getBlocksPath(baseFolder) {
@@ -68,22 +71,35 @@ function buildResponse(args, additional = {}) {
 
 async function addBlock(org, repo, blockName, displayName = null, baseFolder = 'library') {
   const path = getBlocksPath(baseFolder);
-  const blocksJSON = await getSheetJSON(org, repo, path);
+  const entry = createBlockEntry(blockName, displayName, baseFolder, org, repo);
+  let existed = false;
+  let optionsSheet = null;
 
-  const dataSheet = blocksJSON ? getDataSheet(blocksJSON) : null;
-  const optionsSheet = blocksJSON ? getOptionsSheet(blocksJSON) : null;
+  const write = await updateSheetJSON(org, repo, path, (blocksJSON) => {
+    const dataSheet = blocksJSON ? getDataSheet(blocksJSON) : null;
+    optionsSheet = blocksJSON ? getOptionsSheet(blocksJSON) : null;
 
-  const entry = createBlockEntry(blockName, displayName, baseFolder, org, repo);
-  const existed = dataSheet ? entryExists(dataSheet, entry.name) : false;
-  const updatedDataSheet = addEntry(dataSheet, entry);
+    existed = dataSheet ? entryExists(dataSheet, entry.name) : false;
+    const updatedDataSheet = addEntry(dataSheet, entry);
 
-  const newBlocksJSON = createLibraryJSON(LIBRARY_TYPES.BLOCKS, updatedDataSheet.data, optionsSheet);
-  await uploadSheetJSON(org, repo, path, newBlocksJSON);
+    return createLibraryJSON(LIBRARY_TYPES.BLOCKS, updatedDataSheet.data, null, blocksJSON);
+  }, entryConflict('name', [entry.name]));
+
+  if (write.conflict) {
+    return {
+      added: false,
+      conflict: true,
+      error: write.conflict,
+      path,
+      entry
+    };
+  }
 
   return {
     added: true,
     existed,
     optionsPreserved: !!optionsSheet,
+    ...(write.merged ? { merged: true } : {}),
     path,
     entry
   };
@@ -91,32 +107,40 @@ async function addBlock(org, repo, blockName, displayName = null, baseFolder = '
 
 async function removeBlock(org, repo, blockName, baseFolder = 'library') {
   const path = getBlocksPath(baseFolder);
-  const blocksJSON = await getSheetJSON(org, repo, path);
+  let error = null;
+  let optionsSheet = null;
 
-  if (!blocksJSON) {
-    return {
-      removed: false,
-      error: 'blocks.json not found'
-    };
-  }
+  const write = await updateSheetJSON(org, repo, path, (blocksJSON) => {
+    if (!blocksJSON) {
+      error = 'blocks.json not found';
+      return null;
+    }
+
+    const dataSheet = getDataSheet(blocksJSON);
+    optionsSheet = getOptionsSheet(blocksJSON);
+
+    if (!dataSheet) {
+      error = 'Data sheet not found in blocks.json';
+      return null;
+    }
 
-  const dataSheet = getDataSheet(blocksJSON);
-  const optionsSheet = getOptionsSheet(blocksJSON);
+    error = null;
+    const updatedDataSheet = removeEntry(dataSheet, blockName);
+    return createLibraryJSON(LIBRARY_TYPES.BLOCKS, updatedDataSheet.data, null, blocksJSON);
+  }, entryConflict('name', [blockName]));
 
-  if (!dataSheet) {
+  if (error || write.conflict) {
     return {
       removed: false,
-      error: 'Data sheet not found in blocks.json'
+      ...(write.conflict ? { conflict: true } : {}),
+      error: error || write.conflict
     };
   }
 
-  const updatedDataSheet = removeEntry(dataSheet, blockName);
-  const newBlocksJSON = createLibraryJSON(LIBRARY_TYPES.BLOCKS, updatedDataSheet.data, optionsSheet);
-  await uploadSheetJSON(org, repo, path, newBlocksJSON);
-
   return {
     removed: true,
     optionsPreserved: !!optionsSheet,
+    ...(write.merged ? { merged: true } : {}),
     path
   };
 }
@@ -159,6 +183,11 @@ export const tools = [
         args.displayName,
         args.baseFolder
       );
+
+      if (args.publish && result.added) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [`${result.path}.json`]);
+      }
+
       return buildResponse(args, { blockName: args.blockName, ...result });
     }
   },
@@ -187,6 +216,11 @@ export const tools = [
         args.blocks,
         args.baseFolder
       );
+
+      if (args.publish && result.created) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [`${result.path}.json`]);
+      }
+
       return buildResponse(args, result);
     }
   }
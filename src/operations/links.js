@@ -0,0 +1,97 @@
+// src/operations/links.js
+
+import { z } from 'zod';
+import { crawlPages } from '../common/page-utils.js';
+import { extractReferences, resolveSitePath, buildSiteIndex, findTarget } from '../common/link-utils.js';
+
+const REFERENCE_TYPES = ['link', 'fragment', 'image'];
+
+const CheckLinksSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Folder whose pages are checked (default: /). Link targets are resolved against the whole site'),
+  glob: z.string().optional().describe('Only check pages whose path matches this glob (e.g., "/blogs/**")'),
+  excludeFolders: z.array(z.string()).optional().default(['/.da']).describe('Folders whose pages are not checked (default: ["/.da"])'),
+  types: z.array(z.enum(REFERENCE_TYPES)).optional().default(REFERENCE_TYPES).describe('Reference types to check: link, fragment, image (default: all)'),
+  siteHosts: z.array(z.string()).optional().default([]).describe('Extra hostnames that belong to this site (e.g., ["www.example.com"]). content.da.live and aem.page/aem.live hosts of the org/repo are always internal')
+});
+
+async function checkLinks(args) {
+  const result = {
+    summary: {
+      pagesCrawled: 0,
+      referencesChecked: 0,
+      external: 0,
+      broken: 0,
+      pagesWithBrokenLinks: 0
+    },
+    pages: [],
+    errors: []
+  };
+
+  const siteIndex = await buildSiteIndex(args.org, args.repo, '/');
+  const types = new Set(args.types);
+
+  const crawl = await crawlPages(args.org, args.repo, args.path, {
+    glob: args.glob,
+    excludeFolders: args.excludeFolders
+  }, ({ path, html }) => {
+    const broken = new Map();
+
+    for (const reference of extractReferences(html)) {
+      if (!types.has(reference.type)) continue;
+
+      const target = resolveSitePath(reference.url, {
+        org: args.org,
+        repo: args.repo,
+        pagePath: path,
+        siteHosts: args.siteHosts
+      });
+
+      if (target === null) {
+        if (/^(?:https?:)?\/\//i.test(reference.url)) result.summary.external++;
+        continue;
+      }
+
+      result.summary.referencesChecked++;
+      if (findTarget(siteIndex, target)) continue;
+
+      const key = `${reference.type}:${reference.url}`;
+      if (broken.has(key)) {
+        broken.get(key).occurrences++;
+      } else {
+        broken.set(key, { ...reference, target, occurrences: 1 });
+      }
+    }
+
+    if (broken.size > 0) {
+      const links = [...broken.values()];
+      result.pages.push({ path, broken: links });
+      result.summary.broken += links.reduce((total, link) => total + link.occurrences, 0);
+    }
+  });
+
+  result.summary.pagesCrawled = crawl.pagesCrawled;
+  result.summary.pagesWithBrokenLinks = result.pages.length;
+  result.pages.sort((a, b) => a.path.localeCompare(b.path));
+  result.errors = crawl.errors.map(error => `${error.path}: ${error.error}`);
+  result.success = result.errors.length === 0;
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_links_check',
+    description: 'Find broken internal links, fragment references and image sources on pages under a path. Relative, content.da.live and aem.page/aem.live URLs are resolved against the site listing (no external requests are made). Returns the missing targets grouped by source page',
+    schema: CheckLinksSchema,
+    handler: async (args) => {
+      const result = await checkLinks(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  }
+];
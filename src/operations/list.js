@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import { daAdminRequest, daAdminResponseFormat, formatURL } from '../common/utils.js';
+import { walkTree } from '../common/list-utils.js';
 
 const ListSourcesSchema = z.object({
   org: z.string().describe('The organization'),
@@ -7,12 +8,52 @@ const ListSourcesSchema = z.object({
   path: z.string().describe('Path to the folder')
 });
 
+const ListTreeSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Path to the folder to start from (default: /)'),
+  maxDepth: z.number().int().min(0).optional().describe('Maximum folder depth below path. 0 lists only the starting folder. Omit for unlimited depth'),
+  extensions: z.array(z.string()).optional().describe('Only return files with these extensions (e.g., ["html", "json"])'),
+  glob: z.string().optional().describe('Only return files whose path matches this glob (e.g., "/blogs/**/*.html", "/products/*/index.html")'),
+  includeFolders: z.array(z.string()).optional().describe('Only return files inside these folders (e.g., ["/blogs", "/news"])'),
+  excludeFolders: z.array(z.string()).optional().describe('Skip these folders entirely (e.g., ["/drafts", "/.da"]). Globs are allowed'),
+  limit: z.number().int().min(1).max(5000).optional().default(500).describe('Maximum number of files per page (default: 500)'),
+  cursor: z.string().optional().describe('Cursor returned as nextCursor by a previous call, to fetch the next page')
+});
+
 async function listSources(org, repo, path) {
   const url = formatURL('list', org, repo, path);
   const result = await daAdminRequest(url);
   return daAdminResponseFormat(result);
 }
 
+async function listTree(args) {
+  const { items, foldersVisited, nextCursor } = await walkTree(args.org, args.repo, args.path, {
+    maxDepth: args.maxDepth ?? null,
+    extensions: args.extensions,
+    glob: args.glob,
+    includeFolders: args.includeFolders,
+    excludeFolders: args.excludeFolders,
+    limit: args.limit,
+    cursor: args.cursor
+  });
+
+  return {
+    org: args.org,
+    repo: args.repo,
+    path: args.path,
+    count: items.length,
+    foldersVisited,
+    items: items.map(item => ({
+      path: item.path,
+      ext: item.ext,
+      lastModified: item.lastModified
+    })),
+    nextCursor,
+    done: !nextCursor
+  };
+}
+
 export const tools = [{
   name: "da_admin_list_sources",
   description: "Returns a list of sources inside a folder from an organization",
@@ -20,4 +61,11 @@ export const tools = [{
   handler: async (args) => {
     return listSources(args.org, args.repo, args.path);
   }
-}];
\ No newline at end of file
+}, {
+  name: "da_admin_list_tree",
+  description: "Recursively list files under a folder with depth limits, extension/glob filters and include/exclude folders. Results are paginated: when nextCursor is returned, call again with the same filters and cursor to get the next page",
+  schema: ListTreeSchema,
+  handler: async (args) => {
+    return listTree(args);
+  }
+}];
@@ -1,7 +1,20 @@
 import { z } from 'zod';
-import { daAdminRequest, formatURL } from '../common/utils.js';
+import { promises as fs } from 'fs';
+import { basename } from 'path';
+import { daAdminRequest, formatURL, uploadFile } from '../common/utils.js';
+import { cleanSitePath, listFolder, listFilesRecursive } from '../common/list-utils.js';
+import { expandLocalPaths, getMimeType, MEDIA_MIME_TYPES } from '../common/local-utils.js';
+import { buildContentUrl, createSheet } from '../common/library-cfg-utils.js';
+import { crawlPages, getPageHTML, uploadPageHTML, cleanPagePath } from '../common/page-utils.js';
+import { resolveSitePath } from '../common/link-utils.js';
+import { uploadSheetJSON } from '../common/sheet-utils.js';
+import { parseHTML, serializeHTML, findAll, isElement, getAttribute, setAttribute } from '../common/html-utils.js';
+import { createUnifiedDiff } from '../common/diff-utils.js';
+import { extractMediaReferences, getMediaFileType, getMediaHash, getMediaName, MEDIA_FILE_EXTENSIONS, MISSING_ALT } from '../common/media-utils.js';
 
 const MEDIA_INDEX_PATH = '/.da/mediaindex/media';
+const MEDIA_INDEX_COLUMNS = ['url', 'name', 'doc', 'alt', 'type', 'hash'];
+const EXCLUDED_FOLDERS = ['/**/.da'];
 
 const mediaCache = new Map();
 
@@ -78,8 +91,77 @@ async function checkMediaStatus(org, repo, path) {
     await daAdminRequest(buildMediaUrl(org, repo, path));
     return { initialized: true };
   } catch (error) {
-    return { initialized: false, ...buildErrorResponse(org, repo, path, error) };
+    return {
+      initialized: false,
+      ...buildErrorResponse(org, repo, path, error),
+      note: 'Media tools build the index by crawling pages when media.json is missing. Use da_media_build_index with save=true to write it to .da/mediaindex/media.json.',
+    };
+  }
+}
+
+// Page URLs are made absolute so references from different pages group
+// together: root-relative paths point into the site, other relative paths
+// resolve against the page.
+function resolveMediaUrl(org, repo, doc, url) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//') || url.startsWith('#')) return url;
+  if (url.startsWith('/')) return buildContentUrl(org, repo, url);
+
+  try {
+    return new URL(url, buildContentUrl(org, repo, doc)).href;
+  } catch {
+    return url;
+  }
+}
+
+// Builds media index items (url, name, doc, alt, type, hash) from the pages of
+// the site, like the media library app does. Media files no page references
+// are added with an empty doc so unused media can be found.
+async function crawlMediaIndex(org, repo, path) {
+  const root = cleanSitePath(path) || '/';
+  const rawData = [];
+
+  const crawl = await crawlPages(org, repo, root, { excludeFolders: EXCLUDED_FOLDERS }, ({ path: pagePath, html }) => {
+    const doc = `${pagePath}.html`;
+    rawData.push(...extractMediaReferences(html, doc, url => resolveMediaUrl(org, repo, doc, url)));
+  });
+
+  const referenced = new Set(rawData
+    .map(item => resolveSitePath(item.url, { org, repo })?.toLowerCase())
+    .filter(Boolean));
+  const files = await listFilesRecursive(org, repo, root, {
+    extensions: MEDIA_FILE_EXTENSIONS,
+    excludeFolders: EXCLUDED_FOLDERS,
+  });
+
+  for (const file of files) {
+    if (referenced.has(file.path.toLowerCase())) continue;
+
+    const url = buildContentUrl(org, repo, file.path);
+    rawData.push({
+      url,
+      name: getMediaName(url),
+      doc: '',
+      alt: '',
+      type: getMediaFileType(file.path),
+      hash: getMediaHash(url),
+    });
   }
+
+  return {
+    rawData,
+    pagesCrawled: crawl.pagesCrawled,
+    errors: crawl.errors.map(error => `${error.path}: ${error.error}`),
+  };
+}
+
+async function loadCrawledIndex(org, repo, path) {
+  const { rawData, pagesCrawled, errors } = await crawlMediaIndex(org, repo, path);
+  const structures = buildMediaStructures(rawData);
+  const fetchedAt = Date.now();
+
+  mediaCache.set(`${org}/${repo}/${path || ''}`, { ...structures, fetchedAt, source: 'crawl' });
+
+  return { structures, fetchedAt, pagesCrawled, errors };
 }
 
 async function getMediaIndex(org, repo, path) {
@@ -91,6 +173,7 @@ async function getMediaIndex(org, repo, path) {
       data: cached.uniqueItems,
       total: cached.uniqueItems.length,
       fetchedAt: cached.fetchedAt,
+      source: cached.source,
       cached: true,
     };
   }
@@ -101,19 +184,64 @@ async function getMediaIndex(org, repo, path) {
     const structures = buildMediaStructures(mediaData);
     const fetchedAt = Date.now();
     
-    mediaCache.set(cacheKey, { ...structures, fetchedAt });
+    mediaCache.set(cacheKey, { ...structures, fetchedAt, source: 'mediaIndex' });
     
     return {
       data: structures.uniqueItems,
       total: structures.uniqueItems.length,
       fetchedAt,
+      source: 'mediaIndex',
+      cached: false,
+    };
+  } catch (error) {
+    if (!error.message?.includes('404')) {
+      return buildErrorResponse(org, repo, path, error);
+    }
+  }
+
+  // No media.json yet: build the index from the pages instead
+  try {
+    const { structures, fetchedAt, pagesCrawled, errors } = await loadCrawledIndex(org, repo, path);
+    return {
+      data: structures.uniqueItems,
+      total: structures.uniqueItems.length,
+      fetchedAt,
+      source: 'crawl',
+      pagesCrawled,
       cached: false,
+      ...(errors.length > 0 ? { errors } : {}),
     };
   } catch (error) {
     return buildErrorResponse(org, repo, path, error);
   }
 }
 
+async function buildMediaIndex(org, repo, path, save) {
+  const { structures, fetchedAt, pagesCrawled, errors } = await loadCrawledIndex(org, repo, path);
+  const mediaPath = buildMediaPath(path);
+
+  if (save) {
+    const rows = structures.rawData.map(item => (
+      Object.fromEntries(MEDIA_INDEX_COLUMNS.map(column => [column, String(item[column] ?? '')]))
+    ));
+    await uploadSheetJSON(org, repo, mediaPath, createSheet(rows));
+  }
+
+  return {
+    org,
+    repo,
+    path: path || '',
+    pagesCrawled,
+    references: structures.rawData.length,
+    uniqueItems: structures.uniqueItems.length,
+    unused: structures.rawData.filter(item => !item.doc).length,
+    fetchedAt,
+    saved: save,
+    ...(save ? { savedTo: `${mediaPath}.json` } : {}),
+    errors,
+  };
+}
+
 async function searchMedia(org, repo, path, filters) {
   const index = await getMediaIndex(org, repo, path);
   
@@ -253,16 +381,289 @@ async function findMediaUsage(org, repo, path, mediaUrl, mediaName) {
   };
 }
 
+// Raw media index entries (one per reference) for other tools to build on
+export async function getMediaReferences(org, repo, path) {
+  const index = await getMediaIndex(org, repo, path);
+  
+  if (!index.data) {
+    throw new Error(index.debug?.error ? `${index.error}: ${index.debug.error}` : index.error);
+  }
+  
+  const cached = mediaCache.get(`${org}/${repo}/${path || ''}`);
+  return cached ? cached.rawData : index.data;
+}
+
 async function refreshMediaCache(org, repo, path) {
   mediaCache.delete(`${org}/${repo}/${path || ''}`);
   return getMediaIndex(org, repo, path);
 }
 
+function isMissingAlt(alt) {
+  return alt === undefined || alt === null || alt.trim() === '' || alt === MISSING_ALT;
+}
+
+function isSameDoc(a, b) {
+  return cleanPagePath(a || '') === cleanPagePath(b || '');
+}
+
+// A document override applies to every target on the page unless it names a
+// mediaUrl; one naming the media wins over one for the whole page
+function resolveAlt(target, doc, overrides) {
+  const matching = overrides.filter(override => isSameDoc(override.doc, doc));
+  const forMedia = matching.find(override => override.key === target.key);
+  const forDoc = matching.find(override => !override.key);
+  return (forMedia || forDoc || target).alt;
+}
+
+function updateAltInHTML(org, repo, doc, html, targets, overrides, onlyMissing) {
+  const root = parseHTML(html);
+  const occurrences = [];
+  const alts = [];
+
+  const nodes = findAll(root, node => isElement(node, 'img') && getAttribute(node, 'src'));
+  for (const node of nodes) {
+    const key = getGroupingKey(resolveMediaUrl(org, repo, doc, getAttribute(node, 'src').trim()));
+    const target = targets.get(key);
+    if (!target) continue;
+
+    const before = getAttribute(node, 'alt');
+    const after = resolveAlt(target, doc, overrides);
+    if (before === after || (onlyMissing && !isMissingAlt(before))) {
+      alts.push({ key, alt: before ?? MISSING_ALT });
+      continue;
+    }
+
+    setAttribute(node, 'alt', after);
+    occurrences.push({ url: target.url, before: before ?? null, after });
+    alts.push({ key, alt: after });
+  }
+
+  return {
+    html: occurrences.length > 0 ? serializeHTML(root) : html,
+    occurrences,
+    alts,
+  };
+}
+
+// Writes the saved alt text into the cached index so searches and stats see
+// it without crawling again. The images of a media URL on a page update its
+// index entries in page order.
+function updateCachedAlt(org, repo, path, pages) {
+  const cacheKey = `${org}/${repo}/${path || ''}`;
+  const cached = mediaCache.get(cacheKey);
+  if (!cached) return false;
+
+  const rawData = cached.rawData.map(item => ({ ...item }));
+  for (const page of pages) {
+    const pending = new Map();
+    for (const { key, alt } of page.alts) {
+      if (!pending.has(key)) pending.set(key, []);
+      pending.get(key).push(alt);
+    }
+
+    for (const item of rawData) {
+      const alts = pending.get(getGroupingKey(item.url));
+      if (!alts || !isSameDoc(item.doc, page.doc)) continue;
+      item.alt = alts.length > 1 ? alts.shift() : alts[0];
+    }
+  }
+
+  mediaCache.set(cacheKey, { ...buildMediaStructures(rawData), fetchedAt: cached.fetchedAt, source: cached.source });
+  return true;
+}
+
+async function updateMediaAlt(org, repo, path, args) {
+  const entries = Object.entries(args.alts || {});
+  if (args.mediaUrl) {
+    if (args.alt === undefined) {
+      throw new Error('alt is required with mediaUrl');
+    }
+    entries.unshift([args.mediaUrl, args.alt]);
+  }
+  if (entries.length === 0) {
+    throw new Error('Provide mediaUrl and alt, or alts with media URL to alt text pairs');
+  }
+
+  const result = {
+    preview: args.preview,
+    summary: {
+      media: entries.length,
+      pagesScanned: 0,
+      pagesChanged: 0,
+      altUpdated: 0,
+      failed: 0,
+    },
+    media: [],
+    pages: [],
+    errors: [],
+  };
+
+  const targets = new Map();
+  const docs = new Map();
+
+  for (const [mediaUrl, alt] of entries) {
+    const url = resolveMediaUrl(org, repo, '/', mediaUrl.trim());
+    const usage = await findMediaUsage(org, repo, path, url);
+    if (usage.error) {
+      return usage;
+    }
+
+    const key = getGroupingKey(url);
+    targets.set(key, { key, url: usage.mediaItem?.url || url, alt });
+    result.media.push({ url: mediaUrl, alt, documents: usage.documents });
+
+    if (usage.documents.length === 0) {
+      result.errors.push(`${mediaUrl}: Not used by any page in the media index`);
+    }
+    for (const doc of usage.documents) {
+      docs.set(cleanPagePath(doc), doc);
+    }
+  }
+
+  const overrides = args.overrides.map(override => ({
+    ...override,
+    key: override.mediaUrl ? getGroupingKey(resolveMediaUrl(org, repo, '/', override.mediaUrl.trim())) : null,
+  }));
+  result.warnings = overrides
+    .filter(override => ![...docs.keys()].some(doc => isSameDoc(doc, override.doc)))
+    .map(override => `Override for ${override.doc} does not match a page using the media`);
+
+  result.summary.pagesScanned = docs.size;
+  const saved = [];
+
+  for (const doc of docs.values()) {
+    try {
+      const html = await getPageHTML(org, repo, doc);
+      if (html === null) {
+        throw new Error('Page not found');
+      }
+
+      const updated = updateAltInHTML(org, repo, doc, html, targets, overrides, args.onlyMissing);
+      if (updated.occurrences.length === 0) {
+        result.pages.push({ doc, status: 'unchanged' });
+        continue;
+      }
+
+      const pageResult = { doc, occurrences: updated.occurrences };
+
+      if (args.preview) {
+        pageResult.status = 'planned';
+        pageResult.diff = createUnifiedDiff(doc, doc, html, updated.html);
+      } else {
+        await uploadPageHTML(org, repo, cleanPagePath(doc), updated.html);
+        pageResult.status = 'updated';
+        saved.push({ doc, alts: updated.alts });
+      }
+
+      result.pages.push(pageResult);
+      result.summary.pagesChanged++;
+      result.summary.altUpdated += updated.occurrences.length;
+    } catch (error) {
+      result.pages.push({ doc, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${doc}: ${error.message}`);
+    }
+  }
+
+  if (saved.length > 0) {
+    result.cacheUpdated = updateCachedAlt(org, repo, path, saved);
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+function toMediaFileName(fileName, sanitize) {
+  if (!sanitize) return fileName;
+
+  const dot = fileName.lastIndexOf('.');
+  const name = fileName.slice(0, dot).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${name || 'file'}${fileName.slice(dot).toLowerCase()}`;
+}
+
+async function uploadMedia(org, repo, args) {
+  const folder = cleanSitePath(args.folder);
+  const result = {
+    folder: folder || '/',
+    preview: args.preview,
+    summary: {
+      total: 0,
+      uploaded: 0,
+      skipped: 0,
+      failed: 0,
+    },
+    files: [],
+    urls: [],
+    errors: [],
+  };
+
+  const localFiles = await expandLocalPaths(args.files);
+  result.summary.total = localFiles.length;
+
+  if (localFiles.length === 0) {
+    result.errors.push(`No files matched: ${args.files.join(', ')}`);
+    result.success = false;
+    return result;
+  }
+
+  const existing = new Set((await listFolder(org, repo, folder).catch(() => [])).map(item => item.path));
+  const targets = new Set();
+
+  for (const localPath of localFiles) {
+    const fileName = toMediaFileName(basename(localPath), args.sanitizeNames);
+    const path = `${folder}/${fileName}`;
+    const contentType = getMimeType(localPath);
+    const entry = { localPath, path, contentType };
+
+    try {
+      if (!contentType) {
+        throw new Error(`Unsupported file type. Supported extensions: ${Object.keys(MEDIA_MIME_TYPES).join(', ')}`);
+      }
+      if (targets.has(path)) {
+        throw new Error(`Another file in this upload already targets ${path}`);
+      }
+      targets.add(path);
+      entry.url = buildContentUrl(org, repo, path);
+
+      if (existing.has(path) && !args.overwrite) {
+        result.files.push({ ...entry, status: 'skipped', reason: 'File exists, use overwrite=true to replace it' });
+        result.summary.skipped++;
+        continue;
+      }
+
+      const data = await fs.readFile(localPath);
+      entry.size = data.length;
+
+      if (!args.preview) {
+        await uploadFile(formatURL('source', org, repo, path), data, contentType);
+      }
+
+      result.files.push({ ...entry, status: args.preview ? 'planned' : 'uploaded', replaced: existing.has(path) });
+      result.urls.push(entry.url);
+      result.summary.uploaded++;
+    } catch (error) {
+      result.files.push({ ...entry, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${localPath}: ${error.message}`);
+    }
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
 export const tools = [{
   name: "da_media_check_status",
-  description: "Check if media index exists on a site. Returns initialization URL if not found.",
+  description: "Check if media index exists on a site. Returns initialization URL if not found; the other media tools then build the index by crawling pages.",
   schema: MediaBaseSchema,
   handler: (args) => checkMediaStatus(args.org, args.repo, args.path)
+}, {
+  name: "da_media_build_index",
+  description: "Build the media index by crawling the site's pages: images (img/picture), videos, links to PDFs and video files, and fragments, with alt text and the documents using them. Media files not used by any page are included as unused. Loads the result into the media cache so every da_media_* tool uses it; set save=true to also write it to .da/mediaindex/media.json.",
+  schema: MediaBaseSchema.extend({
+    save: z.boolean().optional().default(false).describe('Write the index to .da/mediaindex/media.json (default: false)'),
+  }),
+  handler: (args) => buildMediaIndex(args.org, args.repo, args.path, args.save)
 }, {
   name: "da_media_refresh_cache",
   description: "Refresh the media data cache by fetching the latest media.json. Use when media has been updated.",
@@ -305,5 +706,42 @@ export const tools = [{
     mediaName: z.string().optional().describe('Media name to search for'),
   }),
   handler: (args) => findMediaUsage(args.org, args.repo, args.path, args.mediaUrl, args.mediaName)
+}, {
+  name: "da_media_update_alt",
+  description: "Set the alt text of an image on every page that uses it, found through the media usage index. Takes one mediaUrl and alt, or alts with several media URL to alt text pairs; overrides set different alt text on specific documents. PREVIEWS by default: returns a unified diff per page; call again with preview=false to save. Updates the media cache afterwards.",
+  schema: MediaBaseSchema.extend({
+    mediaUrl: z.string().optional().describe('Media URL to update (as listed by da_media_search or da_media_find_usage)'),
+    alt: z.string().optional().describe('Alt text for mediaUrl. An empty string marks the image as decorative'),
+    alts: z.record(z.string()).optional().describe('Media URL to alt text pairs to update in one run (e.g., { "https://content.da.live/org/repo/media/hero.png": "Team at work" })'),
+    overrides: z.array(z.object({
+      doc: z.string().describe('Document path (e.g., "/blog/post.html")'),
+      alt: z.string().describe('Alt text to use on this document'),
+      mediaUrl: z.string().optional().describe('Only override this media URL on the document (default: every updated media URL)'),
+    })).optional().default([]).describe('Per-document alt text that replaces the default for the pages listed (default: [])'),
+    onlyMissing: z.boolean().optional().default(false).describe('Only fill images whose alt text is missing or empty (default: false)'),
+    preview: z.boolean().optional().default(true).describe('Preview mode - return a diff per page without saving (default: true)'),
+  }),
+  handler: async (args) => ({
+    org: args.org,
+    repo: args.repo,
+    ...(await updateMediaAlt(args.org, args.repo, args.path, args)),
+  })
+}, {
+  name: "da_media_upload",
+  description: "Upload local media files (images, SVG icons, PDFs, videos) to a DA folder such as /media or /icons. Accepts file paths and globs, detects the MIME type from the extension and returns the content.da.live URLs to use in page HTML or da_library_add_icon.",
+  schema: z.object({
+    org: z.string().describe('The organization'),
+    repo: z.string().describe('Name of the repository'),
+    files: z.array(z.string()).min(1).describe('Local file paths or globs (e.g., ["./logo.png", "./icons/*.svg"]). Relative paths resolve against the current working directory'),
+    folder: z.string().optional().default('/media').describe('Target folder in DA (default: /media)'),
+    sanitizeNames: z.boolean().optional().default(true).describe('Lowercase file names and replace unsupported characters with hyphens (default: true)'),
+    overwrite: z.boolean().optional().default(false).describe('Replace files that already exist in the target folder (default: false)'),
+    preview: z.boolean().optional().default(false).describe('Preview mode - list target paths and URLs without uploading (default: false)'),
+  }),
+  handler: async (args) => ({
+    org: args.org,
+    repo: args.repo,
+    ...(await uploadMedia(args.org, args.repo, args)),
+  })
 }];
 
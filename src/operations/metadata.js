@@ -0,0 +1,253 @@
+// src/operations/metadata.js
+
+import { z } from 'zod';
+import { CONFIG_TYPES } from '../common/global.js';
+import { getSheetJSON, updateSheetJSON, getSheetByName, getSheetColumns, normalizeSheetRows, setSheetRows } from '../common/sheet-utils.js';
+import { globToRegExp } from '../common/list-utils.js';
+import { getPageHTML, cleanPagePath, toPageUrl } from '../common/page-utils.js';
+import { parsePage, normalizeMetadataKey } from '../common/page-model.js';
+
+const DEFAULT_METADATA_PATH = `/${CONFIG_TYPES.METADATA}`;
+const URL_COLUMN = 'URL';
+
+const BaseMetadataSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  sheetPath: z.string().optional().default(DEFAULT_METADATA_PATH).describe(`Path of the bulk metadata sheet without .json (default: ${DEFAULT_METADATA_PATH})`)
+});
+
+const ListMetadataSchema = BaseMetadataSchema;
+
+const SetMetadataSchema = BaseMetadataSchema.extend({
+  url: z.string().describe('URL pattern of the row (e.g., "/blog/**", "/products/*", "/about"). "*" matches within a folder, "**" matches across folders'),
+  values: z.record(z.string()).describe('Metadata columns to set on the row (e.g., { "Template": "blog-post" }). An empty string clears a value. New columns are added to the sheet'),
+  replace: z.boolean().optional().default(false).describe('Replace all values of an existing row instead of merging (default: false)')
+});
+
+const RemoveMetadataSchema = BaseMetadataSchema.extend({
+  urls: z.array(z.string()).min(1).describe('URL patterns of the rows to remove')
+});
+
+const ResolveMetadataSchema = BaseMetadataSchema.extend({
+  path: z.string().describe('Page path (e.g., "/blog/my-post" or "/blog/index.html")')
+});
+
+function findUrlColumn(columns) {
+  return columns.find(column => column.toLowerCase() === URL_COLUMN.toLowerCase()) || URL_COLUMN;
+}
+
+function toMetadataSheet(sheetJSON) {
+  const found = sheetJSON ? getSheetByName(sheetJSON, 'data') || getSheetByName(sheetJSON) : null;
+  const rows = found?.sheet.data || [];
+  const columns = getSheetColumns(rows);
+
+  return {
+    sheetJSON,
+    sheetName: found?.name || 'data',
+    rows,
+    columns,
+    urlColumn: findUrlColumn(columns)
+  };
+}
+
+async function loadMetadataSheet(org, repo, sheetPath) {
+  return toMetadataSheet(await getSheetJSON(org, repo, sheetPath));
+}
+
+// Runs change(sheet) on the latest sheet and saves the rows it returns (null
+// to skip the write); it runs again if the sheet changed while saving
+async function editMetadataSheet(args, change) {
+  let report;
+
+  const write = await updateSheetJSON(args.org, args.repo, args.sheetPath, (sheetJSON) => {
+    const sheet = toMetadataSheet(sheetJSON);
+    const { rows, ...rest } = change(sheet);
+    report = rest;
+
+    if (!rows) return null;
+
+    const columns = [...sheet.columns, sheet.urlColumn, ...getSheetColumns(rows)]
+      .filter((column, index, all) => all.indexOf(column) === index);
+    return setSheetRows(sheet.sheetJSON, sheet.sheetName, normalizeSheetRows(rows, columns));
+  });
+
+  return {
+    ...report,
+    saved: write.written,
+    ...(write.merged ? { merged: true } : {}),
+    ...(write.conflict ? { conflict: write.conflict } : {})
+  };
+}
+
+function matchesPattern(pattern, url) {
+  const glob = pattern.trim();
+  if (!glob) return false;
+  return globToRegExp(glob.startsWith('/') ? glob : `/${glob}`).test(url);
+}
+
+function toRowValues(sheet, row) {
+  const values = {};
+  for (const column of Object.keys(row)) {
+    if (column !== sheet.urlColumn) values[column] = row[column];
+  }
+  return values;
+}
+
+// Bulk metadata rows apply in sheet order, so a later matching row overrides
+// an earlier one. Empty cells do not apply. The page's own metadata block
+// overrides bulk values.
+export function resolveMetadata(sheet, url, pageMetadata = {}) {
+  const resolved = {};
+  const matches = [];
+
+  sheet.rows.forEach((row, index) => {
+    const pattern = String(row[sheet.urlColumn] ?? '');
+    if (!matchesPattern(pattern, url)) return;
+
+    matches.push({ index, url: pattern });
+    for (const [column, value] of Object.entries(toRowValues(sheet, row))) {
+      if (String(value ?? '').trim() === '') continue;
+
+      const key = normalizeMetadataKey(column);
+      const previous = resolved[key];
+      resolved[key] = {
+        value: String(value),
+        source: 'bulk',
+        column,
+        url: pattern,
+        overrides: previous ? [...previous.overrides, { value: previous.value, source: previous.source, url: previous.url }] : []
+      };
+    }
+  });
+
+  for (const [name, value] of Object.entries(pageMetadata)) {
+    if (String(value ?? '').trim() === '') continue;
+
+    const key = normalizeMetadataKey(name);
+    const previous = resolved[key];
+    resolved[key] = {
+      value,
+      source: 'page',
+      column: name,
+      overrides: previous ? [...previous.overrides, { value: previous.value, source: previous.source, url: previous.url }] : []
+    };
+  }
+
+  return { matches, resolved };
+}
+
+async function setMetadataRow(args) {
+  const url = args.url.trim();
+
+  return editMetadataSheet(args, (sheet) => {
+    const rows = [...sheet.rows];
+    const index = rows.findIndex(row => String(row[sheet.urlColumn] ?? '').trim() === url);
+    const before = index >= 0 ? rows[index] : null;
+
+    const after = {
+      ...(before && !args.replace ? before : {}),
+      [sheet.urlColumn]: url,
+      ...args.values
+    };
+
+    if (index >= 0) {
+      rows[index] = after;
+    } else {
+      rows.push(after);
+    }
+
+    return {
+      rows,
+      status: before ? 'updated' : 'added',
+      created: !sheet.sheetJSON,
+      ...(before ? { before } : {}),
+      after,
+      total: rows.length
+    };
+  });
+}
+
+async function removeMetadataRows(args) {
+  const urls = new Set(args.urls.map(url => url.trim()));
+
+  return editMetadataSheet(args, (sheet) => {
+    const removed = sheet.rows.filter(row => urls.has(String(row[sheet.urlColumn] ?? '').trim()));
+    const remaining = sheet.rows.filter(row => !urls.has(String(row[sheet.urlColumn] ?? '').trim()));
+    const notFound = [...urls].filter(url => !removed.some(row => String(row[sheet.urlColumn]).trim() === url));
+
+    return { rows: removed.length > 0 ? remaining : null, removed, notFound, total: remaining.length };
+  });
+}
+
+async function resolvePageMetadata(args) {
+  const filePath = `${cleanPagePath(args.path)}.html`;
+  const url = toPageUrl(filePath);
+  const [sheet, html] = await Promise.all([
+    loadMetadataSheet(args.org, args.repo, args.sheetPath),
+    getPageHTML(args.org, args.repo, filePath)
+  ]);
+
+  const warnings = [];
+  if (!sheet.sheetJSON) warnings.push(`Bulk metadata sheet ${args.sheetPath}.json not found`);
+  if (html === null) warnings.push(`Page ${filePath} not found, only bulk metadata is resolved`);
+
+  const pageMetadata = html ? parsePage(html).metadata : {};
+  const { matches, resolved } = resolveMetadata(sheet, url, pageMetadata);
+
+  return {
+    url,
+    matchedRows: matches,
+    pageMetadata,
+    metadata: Object.fromEntries(Object.entries(resolved).map(([key, entry]) => [key, entry.value])),
+    sources: resolved,
+    warnings
+  };
+}
+
+function withMetadataArgs(handler) {
+  return async (args) => {
+    const result = await handler(args);
+    return {
+      org: args.org,
+      repo: args.repo,
+      sheetPath: `${args.sheetPath}.json`,
+      ...result
+    };
+  };
+}
+
+export const tools = [
+  {
+    name: 'da_metadata_list',
+    description: 'List the rows of the bulk metadata sheet (metadata.json): URL patterns and the metadata columns they apply to matching pages',
+    schema: ListMetadataSchema,
+    handler: withMetadataArgs(async (args) => {
+      const sheet = await loadMetadataSheet(args.org, args.repo, args.sheetPath);
+      return {
+        exists: Boolean(sheet.sheetJSON),
+        urlColumn: sheet.urlColumn,
+        columns: sheet.columns,
+        total: sheet.rows.length,
+        rows: sheet.rows
+      };
+    })
+  },
+  {
+    name: 'da_metadata_set',
+    description: 'Add or update a row of the bulk metadata sheet (metadata.json) for a URL pattern, creating the sheet if needed. Values are merged into an existing row unless replace is true',
+    schema: SetMetadataSchema,
+    handler: withMetadataArgs(setMetadataRow)
+  },
+  {
+    name: 'da_metadata_remove',
+    description: 'Remove rows from the bulk metadata sheet (metadata.json) by URL pattern',
+    schema: RemoveMetadataSchema,
+    handler: withMetadataArgs(removeMetadataRows)
+  },
+  {
+    name: 'da_metadata_resolve',
+    description: 'Show the effective metadata of a page: bulk metadata rows whose URL pattern matches the page (later rows win) merged with the page\'s own metadata block (page wins). Reports where each value comes from and what it overrides',
+    schema: ResolveMetadataSchema,
+    handler: withMetadataArgs(resolvePageMetadata)
+  }
+];
@@ -0,0 +1,304 @@
+// src/operations/pages.js
+
+import { z } from 'zod';
+import { getPageHTML, uploadPageHTML, cleanPagePath } from '../common/page-utils.js';
+import { parsePage, serializePage, summarizePage, updatePageMetadata, normalizeMetadataKey } from '../common/page-model.js';
+import { walkTree } from '../common/list-utils.js';
+import { getSheetJSON } from '../common/sheet-utils.js';
+import { buildLibraryPath, getOptionsSheet } from '../common/library-cfg-utils.js';
+import { LIBRARY_TYPES } from '../common/global.js';
+
+const MetadataValuesSchema = z.record(z.union([z.string(), z.array(z.string())]));
+
+const DefaultContentSchema = z.object({
+  type: z.literal('default'),
+  html: z.string().describe('Default content HTML (headings, paragraphs, lists, images)')
+});
+
+const BlockSchema = z.object({
+  type: z.literal('block'),
+  name: z.string().describe('Block name (e.g., "cards")'),
+  variants: z.array(z.string()).optional().default([]).describe('Block variants (e.g., ["two", "dark"])'),
+  rows: z.array(z.array(z.string())).describe('Block rows, each an array of cell HTML strings')
+});
+
+const PageModelSchema = z.object({
+  metadata: MetadataValuesSchema.optional().default({}).describe('Page metadata (metadata block) as key/value pairs'),
+  separateMetadataSection: z.boolean().optional().describe('Keep the metadata block in its own trailing section'),
+  sections: z.array(z.object({
+    metadata: MetadataValuesSchema.nullable().optional().describe('Section metadata (section-metadata block) as key/value pairs'),
+    content: z.array(z.discriminatedUnion('type', [DefaultContentSchema, BlockSchema]))
+  })).describe('Page sections in document order')
+});
+
+const GetPageModelSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the page (without .html)')
+});
+
+const SavePageModelSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the page (without .html)'),
+  model: PageModelSchema.describe('Page model as returned by da_page_get_model'),
+  preview: z.boolean().optional().default(false).describe('Preview mode - return the generated HTML without saving (default: false)')
+});
+
+const MetadataTargetSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().describe('Path to a single page (without .html)'),
+  folder: z.string().optional().describe('Folder to process recursively instead of a single page (e.g., "/blogs")'),
+  glob: z.string().optional().describe('Only process pages in folder whose path matches this glob (e.g., "/blogs/2024/*.html")'),
+  excludeFolders: z.array(z.string()).optional().default(['/drafts', '/.da']).describe('Folders to skip when processing a folder (default: ["/drafts", "/.da"])')
+});
+
+const GetPageMetadataSchema = MetadataTargetSchema.extend({
+  keys: z.array(z.string()).optional().describe('Only return these metadata keys'),
+  limit: z.number().int().min(1).max(1000).optional().default(100).describe('Maximum number of pages per call when reading a folder (default: 100)'),
+  cursor: z.string().optional().describe('Cursor returned as nextCursor by a previous call')
+});
+
+const SetPageMetadataSchema = MetadataTargetSchema.extend({
+  metadata: z.record(z.union([z.string(), z.array(z.string()), z.null()])).describe('Metadata keys to set (e.g., { "title": "Home", "template": "blog-post", "tags": ["a", "b"] }). A null value removes the key'),
+  baseFolder: z.string().optional().default('library').describe('Base folder for library, used to validate template values against blocks.json options (default: library)'),
+  preview: z.boolean().optional().default(false).describe('Preview mode (default: false)')
+});
+
+function buildResponse(args, additional = {}) {
+  return {
+    org: args.org,
+    repo: args.repo,
+    path: args.path,
+    ...additional
+  };
+}
+
+async function getPageModel(org, repo, path) {
+  const html = await getPageHTML(org, repo, path);
+
+  if (html === null) {
+    return {
+      found: false,
+      error: `Page not found: ${path}`
+    };
+  }
+
+  const model = parsePage(html);
+  return {
+    found: true,
+    summary: summarizePage(model),
+    model
+  };
+}
+
+async function savePageModel(org, repo, path, model, preview = false) {
+  const html = serializePage(model);
+
+  if (preview) {
+    return {
+      preview: true,
+      saved: false,
+      summary: summarizePage(model),
+      html
+    };
+  }
+
+  await uploadPageHTML(org, repo, path, html);
+  return {
+    preview: false,
+    saved: true,
+    summary: summarizePage(model)
+  };
+}
+
+async function resolveTargetPages(args, { limit = null, cursor = null } = {}) {
+  if (args.path) {
+    return { pages: [cleanPagePath(args.path)], nextCursor: null };
+  }
+
+  if (!args.folder) {
+    throw new Error('Either path or folder is required');
+  }
+
+  const { items, nextCursor } = await walkTree(args.org, args.repo, args.folder, {
+    extensions: ['html'],
+    glob: args.glob,
+    excludeFolders: args.excludeFolders,
+    limit,
+    cursor
+  });
+
+  return {
+    pages: items.map(item => cleanPagePath(item.path)),
+    nextCursor
+  };
+}
+
+function pickKeys(metadata, keys) {
+  if (!keys?.length) return metadata;
+
+  const wanted = new Set(keys.map(normalizeMetadataKey));
+  return Object.fromEntries(
+    Object.entries(metadata).filter(([key]) => wanted.has(normalizeMetadataKey(key)))
+  );
+}
+
+function parseOptionValues(values) {
+  return (values || '')
+    .split('|')
+    .map(value => value.split('=').pop().trim())
+    .filter(Boolean);
+}
+
+// The template option of the blocks.json options sheet that applies to the
+// page metadata block: blocks is ALL or a comma-separated list naming it
+export function findTemplateOption(optionsSheet) {
+  return optionsSheet?.data?.find(item => (
+    item.key === 'template' && (item.blocks === 'ALL' || String(item.blocks || '')
+      .split(',')
+      .some(block => block.trim() === 'metadata'))
+  )) || null;
+}
+
+async function getAllowedTemplates(org, repo, baseFolder) {
+  try {
+    const blocksJSON = await getSheetJSON(org, repo, buildLibraryPath(LIBRARY_TYPES.BLOCKS, baseFolder));
+    const option = findTemplateOption(getOptionsSheet(blocksJSON));
+    return option ? parseOptionValues(option.values) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function getPageMetadata(args) {
+  const { pages: paths, nextCursor } = await resolveTargetPages(args, {
+    limit: args.limit,
+    cursor: args.cursor
+  });
+
+  const pages = [];
+  for (const path of paths) {
+    try {
+      const html = await getPageHTML(args.org, args.repo, path);
+      if (html === null) {
+        pages.push({ path, found: false });
+        continue;
+      }
+      pages.push({ path, found: true, metadata: pickKeys(parsePage(html).metadata, args.keys) });
+    } catch (error) {
+      pages.push({ path, found: false, error: error.message });
+    }
+  }
+
+  return {
+    count: pages.length,
+    pages,
+    nextCursor
+  };
+}
+
+async function setPageMetadata(args) {
+  const result = {
+    preview: args.preview,
+    summary: {
+      total: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0
+    },
+    pages: [],
+    warnings: [],
+    errors: []
+  };
+
+  const templateKey = Object.keys(args.metadata).find(key => normalizeMetadataKey(key) === 'template');
+  const template = templateKey ? args.metadata[templateKey] : null;
+  if (typeof template === 'string') {
+    const allowed = await getAllowedTemplates(args.org, args.repo, args.baseFolder);
+    if (allowed && !allowed.includes(template)) {
+      result.warnings.push(`Template '${template}' is not one of the values offered in blocks.json options: ${allowed.join(', ')}`);
+    }
+  }
+
+  const { pages } = await resolveTargetPages(args);
+  result.summary.total = pages.length;
+
+  for (const path of pages) {
+    try {
+      const html = await getPageHTML(args.org, args.repo, path);
+      if (html === null) {
+        throw new Error('Page not found');
+      }
+
+      const update = updatePageMetadata(html, args.metadata);
+      const pageResult = {
+        path,
+        status: 'unchanged',
+        blockCreated: update.blockCreated,
+        changes: update.changes.filter(change => change.action !== 'unchanged')
+      };
+
+      if (update.changed) {
+        if (args.preview) {
+          pageResult.status = 'planned';
+        } else {
+          await uploadPageHTML(args.org, args.repo, path, update.html);
+          pageResult.status = 'updated';
+        }
+        result.summary.updated++;
+      } else {
+        result.summary.unchanged++;
+      }
+
+      result.pages.push(pageResult);
+    } catch (error) {
+      result.pages.push({ path, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${path}: ${error.message}`);
+    }
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_page_get_model',
+    description: 'Parse a DA page into a structured JSON model: page metadata, sections (with section-metadata), default content and blocks (name, variants, rows of cell HTML). Edit the model and save it with da_page_save_model instead of editing raw HTML',
+    schema: GetPageModelSchema,
+    handler: async (args) => {
+      const result = await getPageModel(args.org, args.repo, args.path);
+      return buildResponse(args, result);
+    }
+  },
+  {
+    name: 'da_page_save_model',
+    description: 'Serialize a page model (as returned by da_page_get_model) back into DA HTML and save it. Use preview=true to get the HTML without saving',
+    schema: SavePageModelSchema,
+    handler: async (args) => {
+      const result = await savePageModel(args.org, args.repo, args.path, args.model, args.preview);
+      return buildResponse(args, result);
+    }
+  },
+  {
+    name: 'da_page_metadata_get',
+    description: 'Get the page metadata (metadata block: title, description, template, tags, image, ...) of a page, or of every page in a folder',
+    schema: GetPageMetadataSchema,
+    handler: async (args) => {
+      const result = await getPageMetadata(args);
+      return buildResponse(args, { folder: args.folder, ...result });
+    }
+  },
+  {
+    name: 'da_page_metadata_set',
+    description: 'Set or remove page metadata keys on a page, or on every page in a folder. Keys are updated in place, other keys and content are left untouched. Creates the metadata block if missing. Template values are checked against the blocks.json options. Use preview=true to see the changes',
+    schema: SetPageMetadataSchema,
+    handler: async (args) => {
+      const result = await setPageMetadata(args);
+      return buildResponse(args, { folder: args.folder, ...result });
+    }
+  }
+];
@@ -5,6 +5,7 @@ import { buildContentUrl, createLibraryJSON } from '../common/library-cfg-utils.
 import { listSheetItems, addSheetItem, removeSheetItem, setupSheetItems } from '../common/sheet-utils.js';
 import { LIBRARY_TYPES } from '../common/global.js';
 import { registerLibraryType } from './config.js';
+import { previewPaths } from '../common/aem-utils.js';
 
 const ListPlaceholdersSchema = z.object({
   org: z.string().describe('The organization name'),
@@ -17,7 +18,8 @@ const AddPlaceholderSchema = z.object({
   repo: z.string().describe('The repository name'),
   key: z.string().describe('Placeholder key (e.g., "site-title")'),
   text: z.string().describe('Placeholder text value'),
-  configPath: z.string().optional().default('').describe('Optional folder path (default: root level as /placeholders)')
+  configPath: z.string().optional().default('').describe('Optional folder path (default: root level as /placeholders)'),
+  publish: z.boolean().optional().default(false).describe('Preview placeholders.json through the AEM admin API after saving (default: false)')
 });
 
 const RemovePlaceholderSchema = z.object({
@@ -34,7 +36,8 @@ const SetupPlaceholdersSchema = z.object({
     key: z.string().describe('Placeholder key'),
     text: z.string().describe('Placeholder text')
   })).describe('Array of placeholders to create'),
-  configPath: z.string().optional().default('').describe('Optional folder path (default: root level as /placeholders)')
+  configPath: z.string().optional().default('').describe('Optional folder path (default: root level as /placeholders)'),
+  publish: z.boolean().optional().default(false).describe('Preview placeholders.json through the AEM admin API after saving (default: false)')
 });
 
 function getPlaceholdersPath(configPath) {
@@ -47,8 +50,8 @@ function getPlaceholdersPath(configPath) {
   return `/${cleanPath}/placeholders`;
 }
 
-function createPlaceholdersJSON(entries) {
-  return createLibraryJSON(LIBRARY_TYPES.PLACEHOLDERS, entries);
+function createPlaceholdersJSON(entries, existing = null) {
+  return createLibraryJSON(LIBRARY_TYPES.PLACEHOLDERS, entries, null, existing);
 }
 
 function createPlaceholderEntry(item) {
@@ -96,6 +99,10 @@ export const tools = [
       const regResult = await registerLibraryType(args.org, args.repo, 'Placeholders', configUrl);
       result.registered = regResult.registered;
       result.alreadyRegistered = regResult.existed;
+
+      if (args.publish && result.added) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [`${getPlaceholdersPath(args.configPath)}.json`]);
+      }
       
       return buildResponse(args, result);
     }
@@ -119,7 +126,7 @@ export const tools = [
   },
   {
     name: 'da_library_setup_placeholders',
-    description: 'Batch setup placeholders. Creates or updates multiple placeholders in placeholders.json. Automatically registers in library.',
+    description: 'Batch setup placeholders. Creates or updates multiple placeholders in placeholders.json with a single read and write, reporting the result of each placeholder. Automatically registers in library.',
     schema: SetupPlaceholdersSchema,
     handler: async (args) => {
       const result = await setupSheetItems(
@@ -132,13 +139,19 @@ export const tools = [
         createPlaceholderEntry
       );
       
-      const configUrl = `${buildContentUrl(args.org, args.repo, getPlaceholdersPath(args.configPath))}.json`;
-      const regResult = await registerLibraryType(args.org, args.repo, 'Placeholders', configUrl);
-      result.registered = regResult.registered;
-      result.librarySheet = {
-        existed: !regResult.createdSheet,
-        entryCount: regResult.libraryEntryCount
-      };
+      if (result.saved) {
+        const configUrl = `${buildContentUrl(args.org, args.repo, getPlaceholdersPath(args.configPath))}.json`;
+        const regResult = await registerLibraryType(args.org, args.repo, 'Placeholders', configUrl);
+        result.registered = regResult.registered;
+        result.librarySheet = {
+          existed: !regResult.createdSheet,
+          entryCount: regResult.libraryEntryCount
+        };
+      }
+
+      if (args.publish && result.saved) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [`${getPlaceholdersPath(args.configPath)}.json`]);
+      }
       
       return buildResponse(args, result);
     }
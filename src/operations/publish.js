@@ -0,0 +1,179 @@
+// src/operations/publish.js
+
+import { z } from 'zod';
+import { runAemAction, publishPaths } from '../common/aem-utils.js';
+import { listFilesRecursive } from '../common/list-utils.js';
+
+const PublishBaseSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  paths: z.array(z.string()).min(1).describe('DA paths to act on (e.g., ["/blog/my-post", "/library/blocks.json"]). Documents may be given with or without .html; other files need their extension'),
+  ref: z.string().optional().default('main').describe('Branch of the site (default: main)')
+});
+
+const PreviewSchema = PublishBaseSchema;
+
+const PublishSchema = PublishBaseSchema.extend({
+  previewFirst: z.boolean().optional().default(true).describe('Preview each path before publishing so the live site gets the current DA content (default: true)')
+});
+
+const UnpublishSchema = PublishBaseSchema;
+
+const StatusSchema = PublishBaseSchema;
+
+const DriftReportSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Folder to check, including subfolders (default: /)'),
+  extensions: z.array(z.string()).optional().default(['html', 'json']).describe('File extensions to check (default: ["html", "json"])'),
+  excludeFolders: z.array(z.string()).optional().default(['/.da']).describe('Folders to skip (default: ["/.da"])'),
+  ref: z.string().optional().default('main').describe('Branch of the site (default: main)'),
+  publishStale: z.boolean().optional().default(false).describe('Preview and publish every stale-preview and stale-live file after the report (default: false)'),
+  includeNeverPublished: z.boolean().optional().default(false).describe('With publishStale, also publish files that were never published (default: false)')
+});
+
+// AEM reports times as HTTP dates, which only have whole seconds, while the
+// DA listing has milliseconds. Times are compared to the second.
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / 1000) * 1000;
+}
+
+// The time of the DA content a preview or live version was built from. AEM
+// reports it as sourceLastModified; older responses only have lastModified.
+function getBuiltFrom(state) {
+  if (!state || (state.status && state.status !== 200)) return null;
+  return toTime(state.sourceLastModified ?? state.lastModified);
+}
+
+// never-published: no live version. stale-preview: DA was edited after the
+// last preview (so live is behind too). stale-live: the preview is current
+// but was not published.
+export function getDriftState(sourceLastModified, preview, live) {
+  const sourceTime = toTime(sourceLastModified);
+  const previewTime = getBuiltFrom(preview);
+  const liveTime = getBuiltFrom(live);
+
+  let state = 'up-to-date';
+  if (liveTime === null) {
+    state = 'never-published';
+  } else if (previewTime === null || (sourceTime !== null && previewTime < sourceTime)) {
+    state = 'stale-preview';
+  } else if (sourceTime !== null && liveTime < sourceTime) {
+    state = 'stale-live';
+  }
+
+  return { state, sourceTime, previewTime, liveTime };
+}
+
+async function buildDriftReport(args) {
+  const files = await listFilesRecursive(args.org, args.repo, args.path, {
+    extensions: args.extensions,
+    excludeFolders: args.excludeFolders
+  });
+  const status = await runAemAction('status', args.org, args.repo, files.map(file => file.path), args.ref);
+
+  const result = {
+    path: args.path,
+    ref: args.ref,
+    summary: {
+      total: files.length,
+      neverPublished: 0,
+      stalePreview: 0,
+      staleLive: 0,
+      upToDate: 0,
+      failed: status.summary.failed
+    },
+    neverPublished: [],
+    stalePreview: [],
+    staleLive: [],
+    errors: status.errors
+  };
+
+  files.forEach((file, index) => {
+    const item = status.paths[index];
+    if (item.status === 'failed') return;
+
+    const { state, sourceTime, previewTime, liveTime } = getDriftState(file.lastModified, item.preview, item.live);
+
+    const entry = {
+      path: file.path,
+      webPath: item.webPath,
+      sourceLastModified: sourceTime === null ? null : new Date(sourceTime).toISOString(),
+      previewLastModified: previewTime === null ? null : new Date(previewTime).toISOString(),
+      liveLastModified: liveTime === null ? null : new Date(liveTime).toISOString()
+    };
+
+    if (state === 'never-published') {
+      result.neverPublished.push({ ...entry, previewed: previewTime !== null });
+      result.summary.neverPublished++;
+    } else if (state === 'stale-preview') {
+      result.stalePreview.push(entry);
+      result.summary.stalePreview++;
+    } else if (state === 'stale-live') {
+      result.staleLive.push(entry);
+      result.summary.staleLive++;
+    } else {
+      result.summary.upToDate++;
+    }
+  });
+
+  if (args.publishStale) {
+    const stale = [
+      ...result.stalePreview,
+      ...result.staleLive,
+      ...(args.includeNeverPublished ? result.neverPublished : [])
+    ].map(entry => entry.path);
+
+    result.published = stale.length > 0
+      ? await publishPaths(args.org, args.repo, stale, args.ref)
+      : null;
+  }
+
+  return result;
+}
+
+function withPublishArgs(handler) {
+  return async (args) => {
+    const result = await handler(args);
+    return {
+      org: args.org,
+      repo: args.repo,
+      ...result
+    };
+  };
+}
+
+export const tools = [
+  {
+    name: 'da_aem_preview',
+    description: 'Preview one or more paths through the AEM admin API, making the current DA content available on the .aem.page preview site. Reports the preview URL and status per path',
+    schema: PreviewSchema,
+    handler: withPublishArgs(args => runAemAction('preview', args.org, args.repo, args.paths, args.ref))
+  },
+  {
+    name: 'da_aem_publish',
+    description: 'Publish one or more paths to the live site (.aem.live) through the AEM admin API. Each path is previewed first unless previewFirst is false; a path whose preview fails is not published',
+    schema: PublishSchema,
+    handler: withPublishArgs(args => publishPaths(args.org, args.repo, args.paths, args.ref, args.previewFirst))
+  },
+  {
+    name: 'da_aem_unpublish',
+    description: 'Unpublish one or more paths: removes them from the live site through the AEM admin API. The DA source and the preview are kept',
+    schema: UnpublishSchema,
+    handler: withPublishArgs(args => runAemAction('unpublish', args.org, args.repo, args.paths, args.ref))
+  },
+  {
+    name: 'da_aem_status',
+    description: 'Read the AEM status of one or more paths: last modified time and URL of the DA source (edit), the preview and the live version',
+    schema: StatusSchema,
+    handler: withPublishArgs(args => runAemAction('status', args.org, args.repo, args.paths, args.ref))
+  },
+  {
+    name: 'da_aem_drift_report',
+    description: 'Report publication drift for every file under a folder: compares the DA source lastModified with the AEM preview and live versions and lists never-published, stale-preview (edited since the last preview) and stale-live (previewed but not published) files. Set publishStale=true to preview and publish the stale files',
+    schema: DriftReportSchema,
+    handler: withPublishArgs(buildDriftReport)
+  }
+];
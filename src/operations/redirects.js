@@ -0,0 +1,450 @@
+// src/operations/redirects.js
+
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+import { CONFIG_TYPES } from '../common/global.js';
+import { getSheetJSON, updateSheetJSON, getSheetByName, getSheetColumns, normalizeSheetRows, setSheetRows } from '../common/sheet-utils.js';
+import { resolveSitePath, buildSiteIndex, findTarget } from '../common/link-utils.js';
+import { parseCSV, recordsToRows } from '../common/spreadsheet-utils.js';
+import { toPageUrl } from '../common/page-utils.js';
+
+const REDIRECTS_PATH = `/${CONFIG_TYPES.REDIRECTS}`;
+const SOURCE_COLUMN = 'Source';
+const DESTINATION_COLUMN = 'Destination';
+
+// Issues that stop add/update/import unless force is set. A missing
+// destination is only reported, the page may be created later.
+const BLOCKING_ISSUES = ['duplicate', 'loop', 'chain', 'sourceExists'];
+
+const RedirectSchema = z.object({
+  source: z.string().describe('Old URL path (e.g., "/old-page")'),
+  destination: z.string().describe('New URL path (e.g., "/new-page") or absolute URL')
+});
+
+const BaseRedirectsSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository')
+});
+
+const ListRedirectsSchema = BaseRedirectsSchema;
+
+const ValidateRedirectsSchema = BaseRedirectsSchema.extend({
+  checkPages: z.boolean().optional().default(true).describe('Check sources and destinations against the site listing (default: true)')
+});
+
+const AddRedirectSchema = BaseRedirectsSchema.extend({
+  ...RedirectSchema.shape,
+  force: z.boolean().optional().default(false).describe('Save even if the redirect creates a chain or loop, or its source still exists as a page (default: false)')
+});
+
+const UpdateRedirectSchema = BaseRedirectsSchema.extend({
+  source: z.string().describe('Source of the redirect to update'),
+  destination: z.string().optional().describe('New destination'),
+  newSource: z.string().optional().describe('New source path'),
+  force: z.boolean().optional().default(false).describe('Save even if the change creates a chain or loop, or the source still exists as a page (default: false)')
+});
+
+const RemoveRedirectsSchema = BaseRedirectsSchema.extend({
+  sources: z.array(z.string()).min(1).describe('Sources of the redirects to remove')
+});
+
+const ImportRedirectsSchema = BaseRedirectsSchema.extend({
+  redirects: z.array(RedirectSchema).optional().describe('Redirects to import'),
+  localFile: z.string().optional().describe('Local CSV file with source and destination columns (header row required)'),
+  mode: z.enum(['merge', 'replace']).optional().default('merge').describe('merge adds new redirects and updates existing sources; replace swaps the whole sheet (default: merge)'),
+  force: z.boolean().optional().default(false).describe('Save even if the import creates chains, loops or redirects for pages that still exist (default: false)'),
+  preview: z.boolean().optional().default(true).describe('Only report what would change without saving (default: true)')
+});
+
+export function normalizeRedirectPath(url) {
+  const path = url.trim().replace(/[?#].*$/, '').replace(/\.html$/i, '');
+  return (path.length > 1 ? path.replace(/\/+$/, '') : path).toLowerCase();
+}
+
+function findColumn(columns, name) {
+  return columns.find(column => column.toLowerCase() === name.toLowerCase()) || name;
+}
+
+function toRedirectsSheet(sheetJSON) {
+  const found = sheetJSON ? getSheetByName(sheetJSON, 'data') || getSheetByName(sheetJSON) : null;
+  const rows = found?.sheet.data || [];
+  const columns = getSheetColumns(rows);
+
+  return {
+    sheetJSON,
+    sheetName: found?.name || 'data',
+    rows,
+    sourceColumn: findColumn(columns, SOURCE_COLUMN),
+    destinationColumn: findColumn(columns, DESTINATION_COLUMN)
+  };
+}
+
+async function loadRedirects(org, repo) {
+  return toRedirectsSheet(await getSheetJSON(org, repo, REDIRECTS_PATH));
+}
+
+function toRedirects(sheet) {
+  return sheet.rows.map(row => ({
+    source: String(row[sheet.sourceColumn] ?? '').trim(),
+    destination: String(row[sheet.destinationColumn] ?? '').trim()
+  }));
+}
+
+function buildRedirectsJSON(sheet, redirects) {
+  const byKey = new Map(sheet.rows.map(row => [normalizeRedirectPath(String(row[sheet.sourceColumn] ?? '')), row]));
+  const rows = redirects.map(redirect => ({
+    ...byKey.get(normalizeRedirectPath(redirect.source)),
+    [sheet.sourceColumn]: redirect.source,
+    [sheet.destinationColumn]: redirect.destination
+  }));
+
+  const columns = [...getSheetColumns(sheet.rows), sheet.sourceColumn, sheet.destinationColumn, ...getSheetColumns(rows)]
+    .filter((column, index, all) => all.indexOf(column) === index);
+
+  return setSheetRows(sheet.sheetJSON, sheet.sheetName, normalizeSheetRows(rows, columns));
+}
+
+// Runs change(redirects, sheet) on the latest redirects and saves the list it
+// returns. change returns { redirects, ...report } with redirects set to null
+// when nothing should be saved; it runs again if the sheet changed meanwhile.
+async function editRedirects(org, repo, change) {
+  let report;
+
+  const write = await updateSheetJSON(org, repo, REDIRECTS_PATH, (sheetJSON) => {
+    const sheet = toRedirectsSheet(sheetJSON);
+    const { redirects, ...rest } = change(toRedirects(sheet), sheet);
+    report = rest;
+    return redirects ? buildRedirectsJSON(sheet, redirects) : null;
+  });
+
+  return {
+    ...report,
+    saved: write.written,
+    ...(write.merged ? { merged: true } : {}),
+    ...(write.conflict ? { conflict: write.conflict } : {})
+  };
+}
+
+function toInternalPath(org, repo, url) {
+  const path = resolveSitePath(url, { org, repo });
+  return path === null ? null : normalizeRedirectPath(path);
+}
+
+// Reports duplicate sources, chains (A -> B -> C), loops, sources that still
+// exist as pages and internal destinations that do not exist. siteIndex is
+// optional; without it only the redirects themselves are checked.
+export function validateRedirects(org, repo, redirects, siteIndex = null) {
+  const issues = [];
+  const bySource = new Map();
+
+  for (const redirect of redirects) {
+    const key = normalizeRedirectPath(redirect.source);
+    if (bySource.has(key)) {
+      issues.push({ type: 'duplicate', source: redirect.source, destination: redirect.destination, detail: `Source is also redirected to ${bySource.get(key).destination}` });
+      continue;
+    }
+    bySource.set(key, redirect);
+  }
+
+  for (const redirect of bySource.values()) {
+    const chain = [normalizeRedirectPath(redirect.source)];
+    let next = toInternalPath(org, repo, redirect.destination);
+    let loop = false;
+
+    while (next !== null && bySource.has(next)) {
+      loop = chain.includes(next);
+      chain.push(next);
+      if (loop) break;
+      next = toInternalPath(org, repo, bySource.get(next).destination);
+    }
+
+    if (loop) {
+      issues.push({ type: 'loop', source: redirect.source, destination: redirect.destination, chain, detail: `Redirect loop: ${chain.join(' -> ')}` });
+    } else if (chain.length > 1) {
+      const finalDestination = bySource.get(chain[chain.length - 1]).destination;
+      issues.push({ type: 'chain', source: redirect.source, destination: redirect.destination, chain, finalDestination, detail: `Redirect chain: ${[...chain, finalDestination].join(' -> ')}` });
+    }
+
+    if (siteIndex) {
+      const existing = findTarget(siteIndex, redirect.source);
+      if (existing) {
+        issues.push({ type: 'sourceExists', source: redirect.source, destination: redirect.destination, detail: `Source still exists as ${existing}` });
+      }
+
+      const destination = resolveSitePath(redirect.destination, { org, repo });
+      if (destination !== null && !bySource.has(normalizeRedirectPath(destination)) && !findTarget(siteIndex, destination)) {
+        issues.push({ type: 'missingDestination', source: redirect.source, destination: redirect.destination, detail: 'Destination page does not exist' });
+      }
+    }
+  }
+
+  return issues;
+}
+
+function summarizeIssues(issues) {
+  const summary = {};
+  for (const issue of issues) {
+    summary[issue.type] = (summary[issue.type] || 0) + 1;
+  }
+  return summary;
+}
+
+// Validates the full redirect set but only reports issues that involve the
+// changed sources, so existing problems do not block unrelated edits.
+function checkChanges(org, repo, redirects, changedSources, siteIndex) {
+  const changed = new Set(changedSources.map(normalizeRedirectPath));
+
+  const issues = validateRedirects(org, repo, redirects, siteIndex).filter(issue => (
+    changed.has(normalizeRedirectPath(issue.source)) || issue.chain?.some(source => changed.has(source))
+  ));
+
+  return {
+    issues,
+    blocked: issues.some(issue => BLOCKING_ISSUES.includes(issue.type))
+  };
+}
+
+function reviewChanges(args, siteIndex, redirects, changedSources, details) {
+  const { issues, blocked } = checkChanges(args.org, args.repo, redirects, changedSources, siteIndex);
+  const save = !(blocked && !args.force) && !args.preview;
+
+  return {
+    ...details,
+    redirects: save ? redirects : null,
+    ...(blocked && !args.force ? { blockedBy: [...new Set(issues.map(issue => issue.type))].filter(type => BLOCKING_ISSUES.includes(type)) } : {}),
+    issues,
+    total: redirects.length
+  };
+}
+
+async function addRedirect(args) {
+  const siteIndex = await buildSiteIndex(args.org, args.repo, '/');
+  const redirect = { source: args.source.trim(), destination: args.destination.trim() };
+
+  return editRedirects(args.org, args.repo, (redirects, sheet) => {
+    const existing = redirects.find(other => normalizeRedirectPath(other.source) === normalizeRedirectPath(redirect.source));
+    if (existing) {
+      throw new Error(`A redirect for ${existing.source} already exists (to ${existing.destination}); use da_redirects_update to change it`);
+    }
+
+    return reviewChanges(args, siteIndex, [...redirects, redirect], [redirect.source], { added: redirect, created: !sheet.sheetJSON });
+  });
+}
+
+async function updateRedirect(args) {
+  const siteIndex = await buildSiteIndex(args.org, args.repo, '/');
+
+  return editRedirects(args.org, args.repo, (redirects) => {
+    const index = redirects.findIndex(redirect => normalizeRedirectPath(redirect.source) === normalizeRedirectPath(args.source));
+
+    if (index < 0) {
+      throw new Error(`No redirect found for ${args.source}`);
+    }
+
+    const before = redirects[index];
+    const after = {
+      source: args.newSource?.trim() || before.source,
+      destination: args.destination?.trim() || before.destination
+    };
+    redirects[index] = after;
+
+    return reviewChanges(args, siteIndex, redirects, [after.source], { before, after });
+  });
+}
+
+async function removeRedirects(args) {
+  const sources = new Set(args.sources.map(normalizeRedirectPath));
+
+  return editRedirects(args.org, args.repo, (redirects) => {
+    const removed = redirects.filter(redirect => sources.has(normalizeRedirectPath(redirect.source)));
+    const remaining = redirects.filter(redirect => !sources.has(normalizeRedirectPath(redirect.source)));
+    const notFound = args.sources.filter(source => !removed.some(redirect => normalizeRedirectPath(redirect.source) === normalizeRedirectPath(source)));
+
+    return { redirects: removed.length > 0 ? remaining : null, removed, notFound, total: remaining.length };
+  });
+}
+
+async function readImportRedirects(args) {
+  if (args.redirects && args.localFile) {
+    throw new Error('Provide either redirects or localFile, not both');
+  }
+
+  if (args.redirects) return args.redirects;
+
+  if (!args.localFile) {
+    throw new Error('Provide redirects or localFile');
+  }
+
+  const { columns, rows } = recordsToRows(parseCSV(await fs.readFile(resolve(args.localFile), 'utf-8')));
+  const sourceColumn = columns.find(column => column.toLowerCase() === 'source');
+  const destinationColumn = columns.find(column => column.toLowerCase() === 'destination');
+
+  if (!sourceColumn || !destinationColumn) {
+    throw new Error(`${args.localFile} needs "source" and "destination" columns, found: ${columns.join(', ')}`);
+  }
+
+  return rows.map(row => ({ source: row[sourceColumn], destination: row[destinationColumn] }));
+}
+
+async function importRedirects(args) {
+  const incoming = (await readImportRedirects(args))
+    .map(redirect => ({ source: redirect.source.trim(), destination: redirect.destination.trim() }))
+    .filter(redirect => redirect.source && redirect.destination);
+
+  const siteIndex = await buildSiteIndex(args.org, args.repo, '/');
+
+  return editRedirects(args.org, args.repo, (previous) => {
+    const redirects = args.mode === 'merge' ? [...previous] : [];
+    const summary = { added: 0, updated: 0, unchanged: 0, skipped: 0 };
+    const items = [];
+    const seen = new Set();
+
+    for (const redirect of incoming) {
+      const key = normalizeRedirectPath(redirect.source);
+      if (seen.has(key)) {
+        summary.skipped++;
+        items.push({ ...redirect, status: 'skipped', reason: 'Source appears more than once in the import' });
+        continue;
+      }
+      seen.add(key);
+
+      const before = previous.find(other => normalizeRedirectPath(other.source) === key);
+      const index = redirects.findIndex(other => normalizeRedirectPath(other.source) === key);
+      if (index >= 0) {
+        redirects[index] = redirect;
+      } else {
+        redirects.push(redirect);
+      }
+
+      if (!before) {
+        summary.added++;
+        items.push({ ...redirect, status: 'added' });
+      } else if (before.destination !== redirect.destination) {
+        summary.updated++;
+        items.push({ ...redirect, status: 'updated', previousDestination: before.destination });
+      } else {
+        summary.unchanged++;
+        items.push({ ...redirect, status: 'unchanged' });
+      }
+    }
+
+    const removed = previous.filter(redirect => !seen.has(normalizeRedirectPath(redirect.source)) && args.mode === 'replace');
+    const changedSources = items.filter(item => item.status === 'added' || item.status === 'updated').map(item => item.source);
+    const review = reviewChanges(args, siteIndex, redirects, changedSources, { mode: args.mode });
+
+    return {
+      ...review,
+      summary: { ...summary, removed: removed.length, issues: summarizeIssues(review.issues) },
+      items,
+      ...(removed.length > 0 ? { removed } : {})
+    };
+  });
+}
+
+// Adds redirects for moved pages (old URL -> new URL) and repoints existing
+// redirects that targeted a moved page, so moves never create chains.
+export async function addMoveRedirects(org, repo, moves, preview = false) {
+  const pageMoves = moves
+    .filter(move => /\.html$/i.test(move.source))
+    .map(move => ({ source: toPageUrl(move.source), destination: toPageUrl(move.destination) }));
+
+  if (pageMoves.length === 0) {
+    return { added: [], repointed: [], skipped: [], saved: false };
+  }
+
+  const moved = new Map(pageMoves.map(move => [normalizeRedirectPath(move.source), move.destination]));
+
+  return editRedirects(org, repo, (redirects) => {
+    const result = { added: [], repointed: [], skipped: [] };
+
+    for (const redirect of redirects) {
+      const target = toInternalPath(org, repo, redirect.destination);
+      if (target !== null && moved.has(target)) {
+        result.repointed.push({ source: redirect.source, from: redirect.destination, to: moved.get(target) });
+        redirect.destination = moved.get(target);
+      }
+    }
+
+    for (const move of pageMoves) {
+      const index = redirects.findIndex(redirect => normalizeRedirectPath(redirect.source) === normalizeRedirectPath(move.source));
+      if (index >= 0) {
+        result.skipped.push({ ...move, reason: `A redirect for ${redirects[index].source} already exists` });
+        continue;
+      }
+      redirects.push(move);
+      result.added.push(move);
+    }
+
+    // A page moved back to a URL that was redirected away would loop
+    const loops = validateRedirects(org, repo, redirects).filter(issue => issue.type === 'loop');
+    if (loops.length > 0) {
+      result.issues = loops;
+    }
+
+    const changed = result.added.length > 0 || result.repointed.length > 0;
+    return { ...result, redirects: !preview && changed ? redirects : null };
+  });
+}
+
+function withRedirectArgs(handler) {
+  return async (args) => {
+    const result = await handler(args);
+    return {
+      org: args.org,
+      repo: args.repo,
+      path: `${REDIRECTS_PATH}.json`,
+      ...(args.preview ? { preview: true } : {}),
+      ...result
+    };
+  };
+}
+
+export const tools = [
+  {
+    name: 'da_redirects_list',
+    description: 'List the redirects (source -> destination) in /redirects.json',
+    schema: ListRedirectsSchema,
+    handler: withRedirectArgs(async (args) => {
+      const sheet = await loadRedirects(args.org, args.repo);
+      const redirects = toRedirects(sheet);
+      return { exists: Boolean(sheet.sheetJSON), total: redirects.length, redirects };
+    })
+  },
+  {
+    name: 'da_redirects_validate',
+    description: 'Check /redirects.json for duplicate sources, redirect chains and loops, sources that still exist as pages and internal destinations that do not exist',
+    schema: ValidateRedirectsSchema,
+    handler: withRedirectArgs(async (args) => {
+      const sheet = await loadRedirects(args.org, args.repo);
+      const redirects = toRedirects(sheet);
+      const siteIndex = args.checkPages ? await buildSiteIndex(args.org, args.repo, '/') : null;
+      const issues = validateRedirects(args.org, args.repo, redirects, siteIndex);
+      return { total: redirects.length, summary: summarizeIssues(issues), issues, success: issues.length === 0 };
+    })
+  },
+  {
+    name: 'da_redirects_add',
+    description: 'Add a redirect to /redirects.json, creating the sheet if needed. Refuses to save chains, loops and redirects whose source still exists as a page unless force is true',
+    schema: AddRedirectSchema,
+    handler: withRedirectArgs(addRedirect)
+  },
+  {
+    name: 'da_redirects_update',
+    description: 'Change the destination or source of an existing redirect in /redirects.json. Refuses to save chains, loops and redirects whose source still exists as a page unless force is true',
+    schema: UpdateRedirectSchema,
+    handler: withRedirectArgs(updateRedirect)
+  },
+  {
+    name: 'da_redirects_remove',
+    description: 'Remove redirects from /redirects.json by source',
+    schema: RemoveRedirectsSchema,
+    handler: withRedirectArgs(removeRedirects)
+  },
+  {
+    name: 'da_redirects_import',
+    description: 'Bulk import redirects from a list or a local CSV file into /redirects.json, merging with or replacing the existing ones. Validates the result; use preview to review issues first',
+    schema: ImportRedirectsSchema,
+    handler: withRedirectArgs(importRedirects)
+  }
+];
@@ -0,0 +1,225 @@
+// src/operations/replace.js
+
+import { z } from 'zod';
+import { getPageHTML, uploadPageHTML, cleanPagePath } from '../common/page-utils.js';
+import { walkTree } from '../common/list-utils.js';
+import {
+  parseHTML,
+  serializeHTML,
+  findAll,
+  decodeEntities,
+  encodeText,
+  encodeAttribute
+} from '../common/html-utils.js';
+import { createUnifiedDiff } from '../common/diff-utils.js';
+
+const RAW_TEXT_PARENTS = new Set(['script', 'style']);
+
+const FindReplaceSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Folder to process recursively, or a single page path ending in .html (default: /)'),
+  glob: z.string().optional().describe('Only process pages whose path matches this glob (e.g., "/products/**/*.html")'),
+  excludeFolders: z.array(z.string()).optional().default(['/drafts', '/.da']).describe('Folders to skip (default: ["/drafts", "/.da"])'),
+  find: z.string().min(1).describe('Text to find. A regular expression source when regex=true; it must not match empty text'),
+  replace: z.string().describe('Replacement text. With regex=true, $1, $2... refer to capture groups'),
+  regex: z.boolean().optional().default(false).describe('Treat find as a regular expression (default: false)'),
+  caseSensitive: z.boolean().optional().default(true).describe('Case sensitive matching (default: true)'),
+  target: z.enum(['text', 'attributes', 'both']).optional().default('text').describe('Replace in text nodes only, in attribute values only, or both (default: text)'),
+  attributes: z.array(z.string()).optional().default(['href', 'src']).describe('Attributes to replace in when target includes attributes (default: ["href", "src"])'),
+  preview: z.boolean().optional().default(true).describe('Preview mode - return a unified diff per page without saving (default: true)')
+});
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createMatcher(find, replace, regex, caseSensitive) {
+  const flags = caseSensitive ? 'g' : 'gi';
+  const pattern = new RegExp(regex ? find : escapeRegExp(find), flags);
+
+  if (pattern.test('')) {
+    throw new Error(`Pattern /${find}/ matches empty text; it would insert the replacement between every character`);
+  }
+  pattern.lastIndex = 0;
+
+  // Expands $-patterns for one match by replacing it in place with a sticky
+  // copy of the pattern, so lookarounds still see the whole text
+  const sticky = new RegExp(pattern.source, `${flags.replace('g', '')}y`);
+  const expand = (text, match, offset) => {
+    sticky.lastIndex = offset;
+    const replaced = text.replace(sticky, replace);
+    return replaced.slice(offset, replaced.length - (text.length - offset - match.length));
+  };
+
+  return (text) => {
+    let count = 0;
+
+    // Zero-length matches (e.g. \b or lookaheads) are left alone. Literal
+    // replacements must not expand $-patterns.
+    const replaced = text.replace(pattern, (match, ...rest) => {
+      if (match === '') return match;
+      count++;
+      if (!regex) return replace;
+      const offset = rest.find(value => typeof value === 'number');
+      return expand(text, match, offset);
+    });
+
+    return { text: count > 0 ? replaced : text, count };
+  };
+}
+
+function collectTextNodes(nodes, results = []) {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      results.push(node);
+    } else if (node.type === 'element' && !RAW_TEXT_PARENTS.has(node.tag)) {
+      collectTextNodes(node.children, results);
+    }
+  }
+  return results;
+}
+
+export function replaceInHTML(html, matcher, { target = 'text', attributes = ['href', 'src'] } = {}) {
+  const nodes = parseHTML(html);
+  let textMatches = 0;
+  let attributeMatches = 0;
+
+  if (target === 'text' || target === 'both') {
+    for (const node of collectTextNodes(nodes)) {
+      const { text, count } = matcher(decodeEntities(node.value));
+      if (count > 0) {
+        node.value = encodeText(text);
+        textMatches += count;
+      }
+    }
+  }
+
+  if (target === 'attributes' || target === 'both') {
+    const names = attributes.map(name => name.toLowerCase());
+    const elements = findAll(nodes, node => node.type === 'element');
+
+    for (const element of elements) {
+      for (const name of names) {
+        const value = element.attrs[name];
+        if (value === undefined || value === null) continue;
+
+        const { text, count } = matcher(decodeEntities(value));
+        if (count > 0) {
+          element.attrs[name] = encodeAttribute(text);
+          attributeMatches += count;
+        }
+      }
+    }
+  }
+
+  return {
+    html: textMatches + attributeMatches > 0 ? serializeHTML(nodes) : html,
+    textMatches,
+    attributeMatches
+  };
+}
+
+async function resolvePages(org, repo, path, glob, excludeFolders) {
+  if (/\.html$/.test(path)) {
+    return [cleanPagePath(path)];
+  }
+
+  const { items } = await walkTree(org, repo, path, {
+    extensions: ['html'],
+    glob,
+    excludeFolders
+  });
+
+  return items.map(item => cleanPagePath(item.path));
+}
+
+async function findReplace(args) {
+  const result = {
+    find: args.find,
+    replace: args.replace,
+    target: args.target,
+    preview: args.preview,
+    summary: {
+      pagesScanned: 0,
+      pagesChanged: 0,
+      textMatches: 0,
+      attributeMatches: 0,
+      failed: 0
+    },
+    pages: [],
+    errors: []
+  };
+
+  let matcher;
+  try {
+    matcher = createMatcher(args.find, args.replace, args.regex, args.caseSensitive);
+  } catch (error) {
+    result.errors.push(error.message);
+    result.success = false;
+    return result;
+  }
+
+  const pages = await resolvePages(args.org, args.repo, args.path, args.glob, args.excludeFolders);
+  result.summary.pagesScanned = pages.length;
+
+  for (const path of pages) {
+    try {
+      const html = await getPageHTML(args.org, args.repo, path);
+      if (html === null) {
+        throw new Error('Page not found');
+      }
+
+      const replaced = replaceInHTML(html, matcher, {
+        target: args.target,
+        attributes: args.attributes
+      });
+
+      const matches = replaced.textMatches + replaced.attributeMatches;
+      if (matches === 0) continue;
+
+      const pageResult = {
+        path,
+        textMatches: replaced.textMatches,
+        attributeMatches: replaced.attributeMatches
+      };
+
+      if (args.preview) {
+        pageResult.status = 'planned';
+        pageResult.diff = createUnifiedDiff(`${path}.html`, `${path}.html`, html, replaced.html);
+      } else {
+        await uploadPageHTML(args.org, args.repo, path, replaced.html);
+        pageResult.status = 'updated';
+      }
+
+      result.pages.push(pageResult);
+      result.summary.pagesChanged++;
+      result.summary.textMatches += replaced.textMatches;
+      result.summary.attributeMatches += replaced.attributeMatches;
+    } catch (error) {
+      result.pages.push({ path, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${path}: ${error.message}`);
+    }
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_content_find_replace',
+    description: 'Find and replace text or link targets across all pages under a path. Works on text nodes only, on attributes such as href/src, or both. Supports literal or regex matching. PREVIEWS by default: returns a unified diff per page; call again with preview=false to save',
+    schema: FindReplaceSchema,
+    handler: async (args) => {
+      const result = await findReplace(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  }
+];
@@ -0,0 +1,282 @@
+// src/operations/search.js
+
+import { z } from 'zod';
+import { crawlPages } from '../common/page-utils.js';
+import { cleanSitePath } from '../common/list-utils.js';
+import { parsePage, findBlocks, METADATA_BLOCK } from '../common/page-model.js';
+import { parseHTML, findAll, findFirst, isElement, getClassList, getReadableText } from '../common/html-utils.js';
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  headings: 3,
+  blocks: 2,
+  metadata: 2,
+  text: 1
+};
+
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+const MAX_STORED_TEXT = 20000;
+const SNIPPET_RADIUS = 80;
+const PHRASE_BOOST = 1.5;
+
+const searchCache = new Map();
+
+const IndexBaseSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Folder to index (default: /). Each folder has its own cached index'),
+  excludeFolders: z.array(z.string()).optional().default(['/.da']).describe('Folders to skip when building the index (default: ["/.da"])')
+});
+
+const SearchSchema = IndexBaseSchema.extend({
+  query: z.string().describe('Search terms. All terms must match unless matchAll=false'),
+  fields: z.array(z.enum(SEARCH_FIELDS)).optional().describe('Restrict the search to these fields: title, headings, blocks, metadata, text (default: all)'),
+  matchAll: z.boolean().optional().default(true).describe('Require every term to match (default: true)'),
+  pathPrefix: z.string().optional().describe('Only return pages under this path (e.g., "/blogs")'),
+  limit: z.number().int().min(1).max(200).optional().default(20).describe('Maximum number of hits (default: 20)')
+});
+
+// An index only holds the pages its excludeFolders let through, so indexes
+// built with different exclusions are cached apart
+function getCacheKey(org, repo, path, excludeFolders) {
+  const excluded = [...new Set(excludeFolders || [])].sort();
+  return `${org}/${repo}${cleanSitePath(path)}|${excluded.join(',')}`;
+}
+
+export function tokenize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1);
+}
+
+function stripMetadataBlocks(node) {
+  if (node.type !== 'element') return node;
+  if (getClassList(node)[0] === METADATA_BLOCK) return { type: 'text', value: '' };
+  return { ...node, children: node.children.map(stripMetadataBlocks) };
+}
+
+function extractFields(html) {
+  const nodes = parseHTML(html);
+  const main = findFirst(nodes, node => isElement(node, 'main'));
+  const scope = main ? [main] : nodes;
+  const model = parsePage(html);
+
+  const headings = findAll(scope, node => node.type === 'element' && /^h[1-6]$/.test(node.tag))
+    .map(node => getReadableText(node));
+
+  const blocks = findBlocks(model).flatMap(block => [block.name, ...block.variants]);
+
+  const metadata = Object.entries(model.metadata)
+    .map(([key, value]) => `${key} ${/^\s*</.test(value) ? getReadableText(parseHTML(value)) : value}`);
+
+  const metadataTitle = Object.entries(model.metadata).find(([key]) => key.toLowerCase() === 'title');
+  const text = getReadableText(scope.map(stripMetadataBlocks));
+
+  return {
+    title: metadataTitle ? metadataTitle[1] : (headings[0] || ''),
+    headings: headings.join('\n'),
+    blocks: blocks.join(' '),
+    metadata: metadata.join('\n'),
+    text
+  };
+}
+
+function addPostings(index, docId, fields) {
+  for (const field of SEARCH_FIELDS) {
+    for (const term of tokenize(fields[field])) {
+      if (!index.postings.has(term)) {
+        index.postings.set(term, new Map());
+      }
+
+      const docs = index.postings.get(term);
+      if (!docs.has(docId)) {
+        docs.set(docId, {});
+      }
+
+      const counts = docs.get(docId);
+      counts[field] = (counts[field] || 0) + 1;
+    }
+  }
+}
+
+async function buildSearchIndex(org, repo, path, excludeFolders) {
+  const index = {
+    docs: [],
+    postings: new Map()
+  };
+
+  const crawl = await crawlPages(org, repo, path, { excludeFolders }, ({ path: pagePath, html, lastModified }) => {
+    const fields = extractFields(html);
+    const docId = index.docs.length;
+
+    index.docs.push({
+      path: pagePath,
+      title: fields.title,
+      text: fields.text.slice(0, MAX_STORED_TEXT),
+      lastModified
+    });
+    addPostings(index, docId, fields);
+  });
+
+  return {
+    ...index,
+    pagesCrawled: crawl.pagesCrawled,
+    errors: crawl.errors,
+    builtAt: Date.now()
+  };
+}
+
+function describeIndex(index, cached) {
+  return {
+    pagesIndexed: index.docs.length,
+    terms: index.postings.size,
+    builtAt: new Date(index.builtAt).toISOString(),
+    cached,
+    errors: index.errors
+  };
+}
+
+async function getSearchIndex(org, repo, path, excludeFolders) {
+  const cacheKey = getCacheKey(org, repo, path, excludeFolders);
+  const cached = searchCache.get(cacheKey);
+
+  if (cached) {
+    return { index: cached, cached: true };
+  }
+
+  const index = await buildSearchIndex(org, repo, path, excludeFolders);
+  searchCache.set(cacheKey, index);
+  return { index, cached: false };
+}
+
+function createSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms
+    .map(term => lower.indexOf(term))
+    .filter(position => position >= 0);
+
+  if (positions.length === 0) {
+    return text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ').trim();
+  }
+
+  const position = Math.min(...positions);
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+function searchIndex(index, query, { fields, matchAll, pathPrefix, limit }) {
+  const terms = [...new Set(tokenize(query))];
+  const activeFields = fields?.length ? fields : SEARCH_FIELDS;
+  const scores = new Map();
+
+  for (const term of terms) {
+    const docs = index.postings.get(term);
+    if (!docs) continue;
+
+    const idf = Math.log(1 + index.docs.length / docs.size);
+
+    for (const [docId, counts] of docs) {
+      let termScore = 0;
+      const matchedFields = [];
+
+      for (const field of activeFields) {
+        if (counts[field]) {
+          termScore += FIELD_WEIGHTS[field] * (1 + Math.log(counts[field]));
+          matchedFields.push(field);
+        }
+      }
+
+      if (termScore === 0) continue;
+
+      const entry = scores.get(docId) || { score: 0, terms: new Set(), fields: new Set() };
+      entry.score += termScore * idf;
+      entry.terms.add(term);
+      matchedFields.forEach(field => entry.fields.add(field));
+      scores.set(docId, entry);
+    }
+  }
+
+  const phrase = query.trim().toLowerCase();
+  const prefix = pathPrefix ? `/${pathPrefix.replace(/^\/+|\/+$/g, '')}` : null;
+
+  const hits = [...scores.entries()]
+    .filter(([, entry]) => !matchAll || entry.terms.size === terms.length)
+    .map(([docId, entry]) => {
+      const doc = index.docs[docId];
+      const hasPhrase = terms.length > 1 && doc.text.toLowerCase().includes(phrase);
+      return { doc, entry, score: entry.score * (hasPhrase ? PHRASE_BOOST : 1) };
+    })
+    .filter(({ doc }) => !prefix || doc.path === prefix || doc.path.startsWith(`${prefix}/`))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    terms,
+    totalHits: hits.length,
+    hits: hits.slice(0, limit).map(({ doc, entry, score }) => ({
+      path: doc.path,
+      title: doc.title,
+      score: Math.round(score * 1000) / 1000,
+      matchedFields: [...entry.fields],
+      snippet: createSnippet(doc.text, [...entry.terms])
+    }))
+  };
+}
+
+async function searchContent(args) {
+  const { index, cached } = await getSearchIndex(args.org, args.repo, args.path, args.excludeFolders);
+  const results = searchIndex(index, args.query, {
+    fields: args.fields,
+    matchAll: args.matchAll,
+    pathPrefix: args.pathPrefix,
+    limit: args.limit
+  });
+
+  return {
+    query: args.query,
+    ...results,
+    index: describeIndex(index, cached)
+  };
+}
+
+async function refreshSearchIndex(org, repo, path, excludeFolders) {
+  searchCache.delete(getCacheKey(org, repo, path, excludeFolders));
+  const { index } = await getSearchIndex(org, repo, path, excludeFolders);
+  return describeIndex(index, false);
+}
+
+export const tools = [
+  {
+    name: 'da_search_content',
+    description: 'Full-text search across pages of a site: text, headings, block names and page metadata. Returns ranked hits with snippets. The index is built on first use and cached per org/repo/path and excludeFolders; use da_search_refresh_index after content changes',
+    schema: SearchSchema,
+    handler: async (args) => {
+      const result = await searchContent(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  },
+  {
+    name: 'da_search_refresh_index',
+    description: 'Rebuild the cached full-text search index by crawling all pages under path. Use when content has been updated',
+    schema: IndexBaseSchema,
+    handler: async (args) => {
+      const result = await refreshSearchIndex(args.org, args.repo, args.path, args.excludeFolders);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  }
+];
@@ -0,0 +1,179 @@
+// src/operations/sheet-files.js
+
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { resolve, extname, dirname, basename, join } from 'path';
+import { getSheetJSON, updateSheetJSON, getSheetNames, getSheetByName, getSheetColumns, setSheetRows } from '../common/sheet-utils.js';
+import { writeLocalFile } from '../common/local-utils.js';
+import { parseCSV, toCSV, recordsToRows, readWorkbook, writeWorkbook } from '../common/spreadsheet-utils.js';
+
+const FORMATS = ['csv', 'xlsx'];
+
+const ExportSheetSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the sheet without the .json extension (e.g., "/data/products")'),
+  localPath: z.string().describe('Local file to write (e.g., "./products.xlsx"). Relative paths resolve against the current working directory. A CSV export of several sheets writes one file per sheet named <file>-<sheet>.csv'),
+  format: z.enum(FORMATS).optional().describe('csv or xlsx (default: from the localPath extension, xlsx otherwise)'),
+  sheet: z.string().optional().describe('Only export this sheet of a multi-sheet document (default: all sheets)')
+});
+
+const ImportSheetSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path of the sheet to write without the .json extension (e.g., "/data/products")'),
+  localFile: z.string().describe('Local .csv or .xlsx file to import. The first row holds the column names'),
+  format: z.enum(FORMATS).optional().describe('csv or xlsx (default: from the localFile extension)'),
+  sheet: z.string().optional().describe('CSV: sheet to write the rows to (default: "data"). XLSX: only import this worksheet (default: all worksheets, named after their tabs)'),
+  mode: z.enum(['merge', 'replace']).optional().default('merge').describe('merge replaces the imported sheets and keeps the other sheets of the document; replace makes the document contain only the imported sheets (default: merge)'),
+  preview: z.boolean().optional().default(false).describe('Only report what would be imported without saving (default: false)')
+});
+
+function getFormat(format, filePath) {
+  if (format) return format;
+  const ext = extname(filePath).slice(1).toLowerCase();
+  return FORMATS.includes(ext) ? ext : null;
+}
+
+function toCSVFileName(localPath, sheetName) {
+  const base = basename(localPath, extname(localPath));
+  return join(dirname(localPath), `${base}-${sheetName}.csv`);
+}
+
+async function exportSheet(args) {
+  const sheetJSON = await getSheetJSON(args.org, args.repo, args.path);
+  if (!sheetJSON) {
+    throw new Error(`Sheet document not found: ${args.path}.json`);
+  }
+
+  const names = args.sheet ? [args.sheet] : getSheetNames(sheetJSON);
+  const sheets = names.map((name) => {
+    const found = getSheetByName(sheetJSON, name);
+    if (!found) {
+      throw new Error(`Sheet '${name}' not found in ${args.path}.json. Available sheets: ${getSheetNames(sheetJSON).join(', ')}`);
+    }
+    const rows = found.sheet.data || [];
+    return { name, columns: getSheetColumns(rows), rows };
+  });
+
+  const localPath = resolve(args.localPath);
+  const format = getFormat(args.format, localPath) || 'xlsx';
+  const files = [];
+
+  if (format === 'xlsx') {
+    await writeLocalFile(localPath, await writeWorkbook(sheets));
+    files.push(localPath);
+  } else {
+    for (const sheet of sheets) {
+      const filePath = sheets.length === 1 ? localPath : toCSVFileName(localPath, sheet.name);
+      await writeLocalFile(filePath, toCSV(sheet.columns, sheet.rows));
+      files.push(filePath);
+    }
+  }
+
+  return {
+    format,
+    files,
+    sheets: sheets.map(sheet => ({ name: sheet.name, columns: sheet.columns, rows: sheet.rows.length }))
+  };
+}
+
+async function readLocalSheets(localFile, format, sheetName) {
+  if (format === 'csv') {
+    const text = await fs.readFile(localFile, 'utf-8');
+    return [{ name: sheetName || 'data', ...recordsToRows(parseCSV(text)) }];
+  }
+
+  const worksheets = await readWorkbook(await fs.readFile(localFile));
+  const selected = sheetName ? worksheets.filter(worksheet => worksheet.name === sheetName) : worksheets;
+
+  if (selected.length === 0) {
+    throw new Error(`Worksheet '${sheetName}' not found in ${localFile}. Available worksheets: ${worksheets.map(worksheet => worksheet.name).join(', ')}`);
+  }
+
+  return selected.map(worksheet => ({ name: worksheet.name, ...recordsToRows(worksheet.records) }));
+}
+
+async function importSheet(args) {
+  const localFile = resolve(args.localFile);
+  const format = getFormat(args.format, localFile);
+  if (!format) {
+    throw new Error(`Cannot tell the format of ${localFile}; pass format: "csv" or "xlsx"`);
+  }
+
+  const sheets = await readLocalSheets(localFile, format, args.sheet);
+  let result;
+
+  const write = await updateSheetJSON(args.org, args.repo, args.path, (existing) => {
+    let sheetJSON = args.mode === 'merge' ? existing : null;
+    for (const sheet of sheets) {
+      sheetJSON = setSheetRows(sheetJSON, sheet.name, sheet.rows);
+    }
+
+    result = {
+      format,
+      localFile,
+      created: !existing,
+      sheets: sheets.map((sheet) => {
+        const previous = existing ? getSheetByName(existing, sheet.name) : null;
+        const previousColumns = getSheetColumns(previous?.sheet.data || []);
+        return {
+          name: sheet.name,
+          status: previous ? 'replaced' : 'created',
+          columns: sheet.columns,
+          rows: sheet.rows.length,
+          ...(previous ? {
+            rowsBefore: (previous.sheet.data || []).length,
+            columnsAdded: sheet.columns.filter(column => !previousColumns.includes(column)),
+            columnsRemoved: previousColumns.filter(column => !sheet.columns.includes(column))
+          } : {})
+        };
+      }),
+      removedSheets: args.mode === 'replace' && existing
+        ? getSheetNames(existing).filter(name => !sheets.some(sheet => sheet.name === name))
+        : [],
+      names: getSheetNames(sheetJSON)
+    };
+
+    return args.preview ? null : sheetJSON;
+  });
+
+  return {
+    ...result,
+    saved: write.written,
+    ...(write.merged ? { merged: true } : {}),
+    ...(write.conflict ? { conflict: write.conflict } : {})
+  };
+}
+
+export const tools = [
+  {
+    name: 'da_sheet_export',
+    description: 'Export a DA JSON sheet to a local CSV or XLSX file. XLSX writes every sheet of a multi-sheet document as a worksheet in :names order; CSV writes one file per sheet. Column order is preserved',
+    schema: ExportSheetSchema,
+    handler: async (args) => {
+      const result = await exportSheet(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  },
+  {
+    name: 'da_sheet_import',
+    description: 'Import a local CSV or XLSX file into a DA JSON sheet. The first row holds the column names and keeps its order; each XLSX worksheet becomes a sheet (a multi-sheet document with :names in workbook order). Other sheets of the document are kept unless mode is "replace"',
+    schema: ImportSheetSchema,
+    handler: async (args) => {
+      const result = await importSheet(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...(args.preview ? { preview: true } : {}),
+        ...result
+      };
+    }
+  }
+];
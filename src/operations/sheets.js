@@ -0,0 +1,373 @@
+// src/operations/sheets.js
+
+import { z } from 'zod';
+import {
+  getSheetJSON,
+  updateSheetJSON,
+  getSheetNames,
+  getSheetByName,
+  getSheetColumns,
+  normalizeSheetRows,
+  setSheetRows
+} from '../common/sheet-utils.js';
+
+const OPERATORS = ['eq', 'ne', 'contains', 'startsWith', 'endsWith', 'gt', 'gte', 'lt', 'lte', 'in', 'empty', 'notEmpty', 'matches'];
+
+const CellValueSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+const RowSchema = z.record(CellValueSchema);
+
+const ConditionSchema = z.object({
+  column: z.string().describe('Column name'),
+  op: z.enum(OPERATORS).optional().default('eq').describe('Comparison: eq, ne, contains, startsWith, endsWith, gt, gte, lt, lte, in, empty, notEmpty, matches (regex) (default: eq). gt/gte/lt/lte compare numerically when both sides are numbers'),
+  value: z.union([CellValueSchema, z.array(CellValueSchema)]).optional().describe('Value to compare with (an array for "in"; not used by empty/notEmpty)'),
+  ignoreCase: z.boolean().optional().default(false).describe('Compare text case-insensitively (default: false)')
+});
+
+const BaseSheetSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the sheet without the .json extension (e.g., "/data/products")'),
+  sheet: z.string().optional().describe('Sheet name in a multi-sheet document (default: the first sheet; single-sheet documents only have "data")')
+});
+
+const ReadSheetSchema = BaseSheetSchema;
+
+const QuerySheetSchema = BaseSheetSchema.extend({
+  where: z.array(ConditionSchema).optional().default([]).describe('Conditions a row must all match (default: every row)'),
+  sort: z.array(z.object({
+    column: z.string().describe('Column name'),
+    direction: z.enum(['asc', 'desc']).optional().default('asc').describe('Sort direction (default: asc)')
+  })).optional().default([]).describe('Sort order, first entry wins (default: sheet order). Numeric columns sort numerically'),
+  columns: z.array(z.string()).optional().describe('Columns to return, in this order (default: all columns)'),
+  limit: z.number().int().positive().optional().describe('Maximum number of rows to return (default: all)'),
+  offset: z.number().int().min(0).optional().default(0).describe('Number of matching rows to skip (default: 0)')
+});
+
+const InsertRowsSchema = BaseSheetSchema.extend({
+  rows: z.array(RowSchema).min(1).describe('Rows to insert as column/value objects. Columns missing from a row are left empty; new columns are added to the sheet'),
+  position: z.number().int().min(0).optional().describe('Row index to insert at (default: append at the end)'),
+  keyColumn: z.string().optional().describe('Column that identifies a row. Rows whose key already exists are skipped unless upsert is true'),
+  upsert: z.boolean().optional().default(false).describe('Update existing rows with the same keyColumn value instead of skipping them (default: false)'),
+  preview: z.boolean().optional().default(false).describe('Only report what would change without saving (default: false)')
+});
+
+const UpdateRowsSchema = BaseSheetSchema.extend({
+  where: z.array(ConditionSchema).min(1).describe('Conditions a row must all match to be updated'),
+  set: RowSchema.describe('Column values to set on every matching row. New columns are added to the sheet'),
+  preview: z.boolean().optional().default(false).describe('Only report what would change without saving (default: false)')
+});
+
+const DeleteRowsSchema = BaseSheetSchema.extend({
+  where: z.array(ConditionSchema).min(1).describe('Conditions a row must all match to be deleted'),
+  preview: z.boolean().optional().default(false).describe('Only report what would change without saving (default: false)')
+});
+
+function toText(value, ignoreCase) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return ignoreCase ? text.toLowerCase() : text;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value);
+}
+
+function compareValues(a, b, ignoreCase = false) {
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+
+  if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+    return numberA - numberB;
+  }
+  return toText(a, ignoreCase).localeCompare(toText(b, ignoreCase));
+}
+
+function matchesCondition(row, condition) {
+  const { column, op, value, ignoreCase } = condition;
+  const cell = toText(row[column], ignoreCase);
+  const target = Array.isArray(value) ? value.map(item => toText(item, ignoreCase)) : toText(value, ignoreCase);
+
+  switch (op) {
+    case 'eq': return cell === target;
+    case 'ne': return cell !== target;
+    case 'contains': return cell.includes(target);
+    case 'startsWith': return cell.startsWith(target);
+    case 'endsWith': return cell.endsWith(target);
+    case 'gt': return compareValues(row[column], value, ignoreCase) > 0;
+    case 'gte': return compareValues(row[column], value, ignoreCase) >= 0;
+    case 'lt': return compareValues(row[column], value, ignoreCase) < 0;
+    case 'lte': return compareValues(row[column], value, ignoreCase) <= 0;
+    case 'in': return (Array.isArray(target) ? target : [target]).includes(cell);
+    case 'empty': return cell.trim() === '';
+    case 'notEmpty': return cell.trim() !== '';
+    case 'matches': return condition.pattern.test(String(row[column] ?? ''));
+    default: throw new Error(`Unknown operator: ${op}`);
+  }
+}
+
+// Compiles the regex of "matches" conditions before any row is read, so an
+// invalid pattern fails the whole call with a clear error
+function compileConditions(where) {
+  return where.map((condition) => {
+    if (condition.op !== 'matches') return condition;
+
+    const source = String(condition.value ?? '');
+    try {
+      return { ...condition, pattern: new RegExp(source, condition.ignoreCase ? 'i' : '') };
+    } catch (error) {
+      throw new Error(`Invalid pattern /${source}/ for column '${condition.column}': ${error.message}`);
+    }
+  });
+}
+
+function matchesAll(row, where) {
+  return where.every(condition => matchesCondition(row, condition));
+}
+
+function sortRows(rows, sort) {
+  if (sort.length === 0) return rows;
+
+  return [...rows].sort((a, b) => {
+    for (const { column, direction } of sort) {
+      const order = compareValues(a[column], b[column]);
+      if (order !== 0) return direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+}
+
+function selectColumns(rows, columns) {
+  if (!columns) return rows;
+
+  return rows.map((row) => {
+    const selected = {};
+    for (const column of columns) {
+      selected[column] = row[column] ?? '';
+    }
+    return selected;
+  });
+}
+
+function toStoredRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([column, value]) => [column, String(value)]));
+}
+
+function findSheet(sheetJSON, path, sheetName) {
+  if (!sheetJSON) {
+    throw new Error(`Sheet document not found: ${path}.json`);
+  }
+
+  const found = getSheetByName(sheetJSON, sheetName);
+  if (!found) {
+    throw new Error(`Sheet '${sheetName}' not found in ${path}.json. Available sheets: ${getSheetNames(sheetJSON).join(', ')}`);
+  }
+
+  return { name: found.name, rows: found.sheet.data || [] };
+}
+
+async function loadSheet(org, repo, path, sheetName) {
+  const sheetJSON = await getSheetJSON(org, repo, path);
+  return { sheetJSON, ...findSheet(sheetJSON, path, sheetName) };
+}
+
+// Applies an edit to the latest sheet content. apply(sheetJSON) returns the
+// report plus the new rows (null when nothing changed); it runs again on
+// fresh content if the sheet was changed by someone else while saving.
+async function editSheet(args, apply) {
+  let change;
+
+  const write = await updateSheetJSON(args.org, args.repo, args.path, (sheetJSON) => {
+    change = apply(sheetJSON);
+    if (args.preview || !change.rows) return null;
+    // Existing columns keep their order; new columns go after them
+    const columns = [...getSheetColumns(getSheetByName(sheetJSON, change.name)?.sheet.data || []), ...getSheetColumns(change.rows)]
+      .filter((column, index, all) => all.indexOf(column) === index);
+    return setSheetRows(sheetJSON, change.name, normalizeSheetRows(change.rows, columns));
+  });
+
+  return {
+    sheet: change.name,
+    ...change.result,
+    saved: write.written,
+    ...(write.merged ? { merged: true } : {}),
+    ...(write.conflict ? { conflict: write.conflict } : {})
+  };
+}
+
+async function readSheet(args) {
+  const { sheetJSON, name, rows } = await loadSheet(args.org, args.repo, args.path, args.sheet);
+
+  return {
+    sheets: getSheetNames(sheetJSON).map((sheetName) => {
+      const sheetRows = getSheetByName(sheetJSON, sheetName)?.sheet.data || [];
+      return { name: sheetName, columns: getSheetColumns(sheetRows), total: sheetRows.length };
+    }),
+    sheet: name,
+    columns: getSheetColumns(rows),
+    total: rows.length,
+    rows
+  };
+}
+
+async function querySheet(args) {
+  const where = compileConditions(args.where);
+  const { name, rows } = await loadSheet(args.org, args.repo, args.path, args.sheet);
+
+  const matched = sortRows(rows.filter(row => matchesAll(row, where)), args.sort);
+  const end = args.limit ? args.offset + args.limit : undefined;
+  const page = selectColumns(matched.slice(args.offset, end), args.columns);
+
+  return {
+    sheet: name,
+    columns: args.columns || getSheetColumns(rows),
+    total: rows.length,
+    matched: matched.length,
+    returned: page.length,
+    rows: page
+  };
+}
+
+function applyInsert(args, sheetJSON) {
+  const found = sheetJSON ? getSheetByName(sheetJSON, args.sheet) : null;
+  const name = found?.name || args.sheet || getSheetNames(sheetJSON)[0] || 'data';
+  const rows = [...(found?.sheet.data || [])];
+
+  const result = {
+    summary: { inserted: 0, updated: 0, skipped: 0 },
+    rows: []
+  };
+
+  const added = [];
+  for (const row of args.rows.map(toStoredRow)) {
+    const key = args.keyColumn ? row[args.keyColumn] : undefined;
+    const existingIndex = key !== undefined
+      ? rows.findIndex(existing => String(existing[args.keyColumn] ?? '') === key)
+      : -1;
+
+    if (existingIndex >= 0 || (key !== undefined && added.some(other => other[args.keyColumn] === key))) {
+      if (args.upsert && existingIndex >= 0) {
+        rows[existingIndex] = { ...rows[existingIndex], ...row };
+        result.summary.updated++;
+        result.rows.push({ status: 'updated', index: existingIndex, row: rows[existingIndex] });
+      } else {
+        result.summary.skipped++;
+        result.rows.push({ status: 'skipped', row, reason: `${args.keyColumn} '${key}' already exists` });
+      }
+      continue;
+    }
+
+    added.push(row);
+  }
+
+  const position = args.position === undefined ? rows.length : Math.min(args.position, rows.length);
+  rows.splice(position, 0, ...added);
+  added.forEach((row, offset) => {
+    result.summary.inserted++;
+    result.rows.push({ status: 'inserted', index: position + offset, row });
+  });
+
+  const changed = result.summary.inserted + result.summary.updated > 0;
+  result.created = !sheetJSON;
+  result.total = rows.length;
+  return { name, result, rows: changed ? rows : null };
+}
+
+function applyUpdate(args, where, sheetJSON) {
+  const { name, rows } = findSheet(sheetJSON, args.path, args.sheet);
+  const set = toStoredRow(args.set);
+  const updated = [];
+
+  const newRows = rows.map((row, index) => {
+    if (!matchesAll(row, where)) return row;
+
+    const newRow = { ...row, ...set };
+    const changed = Object.keys(set).some(column => row[column] !== newRow[column]);
+    updated.push({ index, status: changed ? 'updated' : 'unchanged', before: row, after: newRow });
+    return newRow;
+  });
+
+  const changedCount = updated.filter(row => row.status === 'updated').length;
+
+  return {
+    name,
+    result: {
+      summary: { matched: updated.length, updated: changedCount, unchanged: updated.length - changedCount },
+      rows: updated
+    },
+    rows: changedCount > 0 ? newRows : null
+  };
+}
+
+function applyDelete(args, where, sheetJSON) {
+  const { name, rows } = findSheet(sheetJSON, args.path, args.sheet);
+  const deleted = [];
+
+  const remaining = rows.filter((row, index) => {
+    if (!matchesAll(row, where)) return true;
+    deleted.push({ index, row });
+    return false;
+  });
+
+  return {
+    name,
+    result: {
+      summary: { deleted: deleted.length, remaining: remaining.length },
+      rows: deleted
+    },
+    rows: deleted.length > 0 ? remaining : null
+  };
+}
+
+function withSheetArgs(handler) {
+  return async (args) => {
+    const result = await handler(args);
+    return {
+      org: args.org,
+      repo: args.repo,
+      path: args.path,
+      ...(args.preview ? { preview: true } : {}),
+      ...result
+    };
+  };
+}
+
+export const tools = [
+  {
+    name: 'da_sheet_read',
+    description: 'Read a JSON sheet at any path. Lists the sheets of a multi-sheet document with their columns and returns the rows of the requested sheet (default: the first one)',
+    schema: ReadSheetSchema,
+    handler: withSheetArgs(readSheet)
+  },
+  {
+    name: 'da_sheet_query',
+    description: 'Query rows of a JSON sheet: filter with column conditions, sort, select columns and paginate. Works on any sheet, including custom data sheets fetched by blocks',
+    schema: QuerySheetSchema,
+    handler: withSheetArgs(querySheet)
+  },
+  {
+    name: 'da_sheet_insert_rows',
+    description: 'Insert rows into a JSON sheet, creating the document or sheet if needed. With keyColumn, rows whose key already exists are skipped, or updated when upsert is true. Other sheets and document properties are kept',
+    schema: InsertRowsSchema,
+    handler: withSheetArgs(args => editSheet(args, sheetJSON => applyInsert(args, sheetJSON)))
+  },
+  {
+    name: 'da_sheet_update_rows',
+    description: 'Set column values on every row of a JSON sheet that matches the conditions. Returns each matching row before and after the change',
+    schema: UpdateRowsSchema,
+    handler: withSheetArgs((args) => {
+      const where = compileConditions(args.where);
+      return editSheet(args, sheetJSON => applyUpdate(args, where, sheetJSON));
+    })
+  },
+  {
+    name: 'da_sheet_delete_rows',
+    description: 'Delete every row of a JSON sheet that matches the conditions. Returns the deleted rows',
+    schema: DeleteRowsSchema,
+    handler: withSheetArgs((args) => {
+      const where = compileConditions(args.where);
+      return editSheet(args, sheetJSON => applyDelete(args, where, sheetJSON));
+    })
+  }
+];
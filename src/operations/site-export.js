@@ -0,0 +1,157 @@
+// src/operations/site-export.js
+
+import { z } from 'zod';
+import { resolve } from 'path';
+import { daAdminRequest, formatURL, mapWithConcurrency } from '../common/utils.js';
+import { cleanSitePath, listFilesRecursive, createFileMatcher } from '../common/list-utils.js';
+import { resolveLocalPath, writeLocalFile, readManifest, writeManifest, MANIFEST_FILE } from '../common/local-utils.js';
+
+const EXPORT_CONCURRENCY = 5;
+
+const ExportSiteSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().optional().default('/').describe('Folder to export (default: /). Files are written relative to this folder'),
+  outputDir: z.string().describe('Local directory to write to, created if missing. Relative paths resolve against the current working directory'),
+  extensions: z.array(z.string()).optional().describe('Only export files with these extensions (e.g., ["html", "json"]). Default: all files including media'),
+  glob: z.string().optional().describe('Only export files whose path matches this glob (e.g., "/blogs/**")'),
+  excludeFolders: z.array(z.string()).optional().describe('Folders to skip (e.g., ["/drafts", "/.da"])'),
+  incremental: z.boolean().optional().default(false).describe('Skip files whose lastModified matches the manifest of a previous export in outputDir (default: false)'),
+  preview: z.boolean().optional().default(false).describe('Preview mode - list the files that would be exported (default: false)')
+});
+
+async function downloadFile(org, repo, sitePath) {
+  const url = formatURL('source', org, repo, sitePath);
+  return daAdminRequest(url, { responseType: 'buffer' });
+}
+
+function toManifestEntry(relativePath, file, size) {
+  return {
+    path: relativePath,
+    ext: file.ext,
+    lastModified: file.lastModified ?? null,
+    size
+  };
+}
+
+function isSameExport(manifest, org, repo, root) {
+  return manifest.org === org && manifest.repo === repo && manifest.path === (root || '/');
+}
+
+async function exportSite(args) {
+  const outputDir = resolve(args.outputDir);
+  const root = cleanSitePath(args.path);
+
+  const result = {
+    outputDir,
+    preview: args.preview,
+    incremental: args.incremental,
+    summary: {
+      total: 0,
+      exported: 0,
+      unchanged: 0,
+      failed: 0
+    },
+    files: [],
+    missingRemotely: [],
+    errors: []
+  };
+
+  // The previous manifest keeps the entries this run's filters leave out;
+  // only an incremental run skips files with it. A manifest of another site
+  // or folder does not describe these files and is replaced.
+  let previous = await readManifest(outputDir);
+  if (previous && !isSameExport(previous, args.org, args.repo, root)) {
+    result.warnings = [`${MANIFEST_FILE} in ${outputDir} is from ${previous.org}/${previous.repo}${previous.path}; it is ignored and replaced`];
+    previous = null;
+  }
+  const previousFiles = new Map((previous?.files || []).map(file => [file.path, file]));
+
+  const listOptions = {
+    extensions: args.extensions,
+    glob: args.glob,
+    excludeFolders: args.excludeFolders
+  };
+  const files = await listFilesRecursive(args.org, args.repo, root, listOptions);
+  result.summary.total = files.length;
+
+  const manifestFiles = [];
+
+  await mapWithConcurrency(files, EXPORT_CONCURRENCY, async (file) => {
+    const relativePath = file.path.slice(root.length);
+    const prior = previousFiles.get(relativePath);
+    previousFiles.delete(relativePath);
+
+    if (args.incremental && prior && file.lastModified && prior.lastModified === file.lastModified) {
+      manifestFiles.push(prior);
+      result.files.push({ path: relativePath, status: 'unchanged' });
+      result.summary.unchanged++;
+      return;
+    }
+
+    if (args.preview) {
+      result.files.push({ path: relativePath, status: 'planned', lastModified: file.lastModified ?? null });
+      return;
+    }
+
+    try {
+      const localPath = resolveLocalPath(outputDir, relativePath);
+      const data = await downloadFile(args.org, args.repo, file.path);
+      await writeLocalFile(localPath, data);
+
+      manifestFiles.push(toManifestEntry(relativePath, file, data.length));
+      result.files.push({ path: relativePath, status: 'exported', size: data.length });
+      result.summary.exported++;
+    } catch (error) {
+      if (prior) manifestFiles.push(prior);
+      result.files.push({ path: relativePath, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${relativePath}: ${error.message}`);
+    }
+  });
+
+  // Entries of the previous export this run's filters do not cover stay in
+  // the manifest. Files the listing should have returned no longer exist in
+  // DA; they are kept locally.
+  const isListed = createFileMatcher(root, listOptions);
+  for (const [relativePath, prior] of previousFiles) {
+    if (isListed({ path: `${root}${relativePath}`, ext: prior.ext })) {
+      result.missingRemotely.push(relativePath);
+    } else {
+      manifestFiles.push(prior);
+    }
+  }
+  result.missingRemotely.sort();
+  result.files.sort((a, b) => a.path.localeCompare(b.path));
+
+  if (!args.preview) {
+    await writeManifest(outputDir, {
+      org: args.org,
+      repo: args.repo,
+      path: root || '/',
+      exportedAt: new Date().toISOString(),
+      files: manifestFiles.sort((a, b) => a.path.localeCompare(b.path))
+    });
+    result.manifest = resolve(outputDir, MANIFEST_FILE);
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_export_site',
+    description: 'Export a DA folder (HTML pages, JSON sheets and media) to a local directory, keeping the folder structure. Writes a da-manifest.json with lastModified and size for every file. Use incremental=true to only download files changed since the last export, preview=true to list files without downloading',
+    schema: ExportSiteSchema,
+    handler: async (args) => {
+      const result = await exportSite(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        path: args.path,
+        ...result
+      };
+    }
+  }
+];
@@ -0,0 +1,194 @@
+// src/operations/site-import.js
+
+import { z } from 'zod';
+import { promises as fs } from 'fs';
+import { resolve, extname } from 'path';
+import { daAdminRequest, formatURL, uploadHTML, uploadJSON, mapWithConcurrency } from '../common/utils.js';
+import { cleanSitePath, listFilesRecursive } from '../common/list-utils.js';
+import { listLocalFiles, toSiteRelativePath, readManifest, MANIFEST_FILE } from '../common/local-utils.js';
+
+const IMPORT_CONCURRENCY = 5;
+const SYNC_EXTENSIONS = ['html', 'json'];
+
+const ImportSiteSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  localDir: z.string().describe('Local directory holding .html and .json files. Relative paths resolve against the current working directory'),
+  path: z.string().optional().describe('DA folder to sync into. Defaults to the path recorded in localDir/da-manifest.json by da_export_site, else /'),
+  deleteRemoved: z.boolean().optional().default(false).describe('Delete remote .html/.json files under path that do not exist locally (default: false)'),
+  excludeFolders: z.array(z.string()).optional().default(['/.da']).describe('Remote folders to leave untouched, relative to path (default: ["/.da"])'),
+  preview: z.boolean().optional().default(true).describe('Preview mode - return the sync plan without uploading or deleting (default: true)')
+});
+
+function getExtension(filePath) {
+  return extname(filePath).slice(1).toLowerCase();
+}
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isSameContent(ext, localContent, remoteContent) {
+  if (ext === 'json') {
+    try {
+      return canonicalJSON(JSON.parse(localContent)) === canonicalJSON(JSON.parse(remoteContent));
+    } catch {
+      return false;
+    }
+  }
+  return localContent.trim() === remoteContent.trim();
+}
+
+async function readRemoteContent(org, repo, sitePath) {
+  const url = formatURL('source', org, repo, sitePath);
+  const data = await daAdminRequest(url, { responseType: 'buffer' });
+  return data.toString('utf-8');
+}
+
+async function uploadContent(org, repo, sitePath, ext, content) {
+  const url = formatURL('source', org, repo, sitePath);
+  if (ext === 'json') {
+    return uploadJSON(url, JSON.parse(content));
+  }
+  return uploadHTML(url, content);
+}
+
+async function deleteRemote(org, repo, sitePath) {
+  const url = formatURL('source', org, repo, sitePath);
+  return daAdminRequest(url, { method: 'DELETE' });
+}
+
+function isExcluded(relativePath, excludeFolders) {
+  return (excludeFolders || []).some(folder => {
+    const clean = cleanSitePath(folder);
+    return relativePath === clean || relativePath.startsWith(`${clean}/`);
+  });
+}
+
+async function importSite(args) {
+  const localDir = resolve(args.localDir);
+  const manifest = await readManifest(localDir);
+  const root = cleanSitePath(args.path ?? manifest?.path ?? '/');
+
+  const result = {
+    localDir,
+    path: root || '/',
+    preview: args.preview,
+    deleteRemoved: args.deleteRemoved,
+    summary: {
+      create: 0,
+      update: 0,
+      delete: 0,
+      unchanged: 0,
+      skipped: 0,
+      failed: 0
+    },
+    files: [],
+    errors: []
+  };
+
+  const localFiles = (await listLocalFiles(localDir))
+    .map(localPath => ({ localPath, path: toSiteRelativePath(localDir, localPath) }))
+    .filter(file => file.path !== `/${MANIFEST_FILE}`);
+
+  const remoteFiles = await listFilesRecursive(args.org, args.repo, root, {
+    extensions: SYNC_EXTENSIONS,
+    excludeFolders: (args.excludeFolders || []).map(folder => `${root}${cleanSitePath(folder)}`)
+  });
+  const remoteByPath = new Map(remoteFiles.map(file => [file.path.slice(root.length), file]));
+
+  const record = (entry) => {
+    result.files.push(entry);
+    if (entry.status === 'failed') {
+      result.summary.failed++;
+      result.errors.push(`${entry.path}: ${entry.error}`);
+    } else {
+      result.summary[entry.action]++;
+    }
+  };
+
+  await mapWithConcurrency(localFiles, IMPORT_CONCURRENCY, async (file) => {
+    const ext = getExtension(file.path);
+
+    if (!SYNC_EXTENSIONS.includes(ext)) {
+      record({ path: file.path, action: 'skipped', status: 'skipped', reason: 'Only .html and .json files are synced' });
+      return;
+    }
+
+    if (isExcluded(file.path, args.excludeFolders)) {
+      record({ path: file.path, action: 'skipped', status: 'skipped', reason: 'Excluded folder' });
+      return;
+    }
+
+    const remote = remoteByPath.get(file.path);
+    const sitePath = `${root}${file.path}`;
+
+    try {
+      const content = await fs.readFile(file.localPath, 'utf-8');
+      if (ext === 'json') {
+        JSON.parse(content);
+      }
+
+      let action = 'create';
+      if (remote) {
+        const remoteContent = await readRemoteContent(args.org, args.repo, sitePath);
+        action = isSameContent(ext, content, remoteContent) ? 'unchanged' : 'update';
+      }
+
+      if (action === 'unchanged') {
+        record({ path: file.path, action, status: 'unchanged' });
+        return;
+      }
+
+      if (!args.preview) {
+        await uploadContent(args.org, args.repo, sitePath, ext, content);
+      }
+      record({ path: file.path, action, status: args.preview ? 'planned' : 'completed' });
+    } catch (error) {
+      record({ path: file.path, action: remote ? 'update' : 'create', status: 'failed', error: error.message });
+    }
+  });
+
+  if (args.deleteRemoved) {
+    const localPaths = new Set(localFiles.map(file => file.path));
+    const removed = [...remoteByPath.keys()].filter(path => !localPaths.has(path));
+
+    await mapWithConcurrency(removed, IMPORT_CONCURRENCY, async (path) => {
+      try {
+        if (!args.preview) {
+          await deleteRemote(args.org, args.repo, `${root}${path}`);
+        }
+        record({ path, action: 'delete', status: args.preview ? 'planned' : 'completed' });
+      } catch (error) {
+        record({ path, action: 'delete', status: 'failed', error: error.message });
+      }
+    });
+  }
+
+  result.files.sort((a, b) => a.path.localeCompare(b.path));
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+export const tools = [
+  {
+    name: 'da_import_site',
+    description: 'Sync a local directory of .html pages and .json sheets into a DA folder. Only files whose content differs from DA are uploaded; optionally deletes remote files missing locally. PREVIEWS by default: returns the sync plan (create/update/delete/unchanged); call again with preview=false to apply it',
+    schema: ImportSiteSchema,
+    handler: async (args) => {
+      const result = await importSite(args);
+      return {
+        org: args.org,
+        repo: args.repo,
+        ...result
+      };
+    }
+  }
+];
@@ -1,11 +1,19 @@
 import { z } from 'zod';
 import { daAdminRequest, daAdminResponseFormat, formatURL } from '../common/utils.js';
+import { cleanSitePath, listFilesRecursive } from '../common/list-utils.js';
+import { htmlToMarkdown, markdownToHTML } from '../common/markdown-utils.js';
+import { parseHTML, findFirst, isElement, getReadableText } from '../common/html-utils.js';
+import { unwrapPageHTML } from '../common/page-utils.js';
+import { addMoveRedirects } from './redirects.js';
+
+const MARKDOWN_FORMAT_DESCRIPTION = 'Markdown uses "---" lines between sections and a table per block: the header row holds the block name with variants in parentheses (e.g., "| Cards (two) |  |"), followed by "| --- | --- |" and one table row per block row. Page metadata is a "Metadata" block table. Inline HTML is kept for anything Markdown cannot express';
 
 const GetSourceSchema = z.object({
   org: z.string().describe('The organization'),
   repo: z.string().describe('Name of the repository'),
   path: z.string().describe('Path to the source content'),
   ext: z.string().describe('The source content file extension: html or json'),
+  format: z.enum(['html', 'markdown', 'text']).optional().default('html').describe(`Output format for html files: html, markdown or text (readable text only) (default: html). ${MARKDOWN_FORMAT_DESCRIPTION}`),
 });
 
 const CreateSourceSchema = z.object({
@@ -35,7 +43,9 @@ const CreateSourceSchema = z.object({
       ],
       ":type": "multi-sheet"
     }
+    If format is markdown: a markdown document, converted to the html above before saving.
   `),
+  format: z.enum(['html', 'markdown']).optional().default('html').describe(`Format of content for html files: html or markdown (default: html). ${MARKDOWN_FORMAT_DESCRIPTION}`),
 });
 
 const DeleteSourceSchema = z.object({
@@ -45,13 +55,51 @@ const DeleteSourceSchema = z.object({
   ext: z.string().describe('The source content file extension: html or json'),
 });
 
-async function getSource(org, repo, path, ext) {
+const TransferSourceSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the source file or folder'),
+  ext: z.string().optional().describe('The source file extension (html, json, png, ...). Omit to transfer a whole folder'),
+  destination: z.string().describe('Destination path in the same repository. For a single file, the new path without extension; for a folder, the new folder path'),
+  preview: z.boolean().optional().default(false).describe('Preview mode - list the files that would be transferred without executing (default: false)')
+});
+
+const MoveSourceSchema = TransferSourceSchema.extend({
+  redirects: z.boolean().optional().default(false).describe('Add redirects from the old page URLs to the new ones in /redirects.json and repoint existing redirects to moved pages (default: false)')
+});
+
+function assertHTMLFormat(ext, format) {
+  if (format !== 'html' && ext !== 'html') {
+    throw new Error(`Format ${format} is only supported for html files`);
+  }
+}
+
+function htmlToText(html) {
+  const nodes = parseHTML(html);
+  const main = findFirst(nodes, node => isElement(node, 'main'));
+  return getReadableText(main || nodes);
+}
+
+async function getSource(org, repo, path, ext, format = 'html') {
+  assertHTMLFormat(ext, format);
   const url = formatURL('source', org, repo, path, ext);
   const data = await daAdminRequest(url);
+
+  if (format === 'markdown') {
+    return daAdminResponseFormat(htmlToMarkdown(unwrapPageHTML(data)));
+  }
+  if (format === 'text') {
+    return daAdminResponseFormat(htmlToText(unwrapPageHTML(data)));
+  }
   return daAdminResponseFormat(data);
 }
 
-async function createSource(org, repo, path, ext, content) {
+async function createSource(org, repo, path, ext, content, format = 'html') {
+  assertHTMLFormat(ext, format);
+  if (format === 'markdown') {
+    content = markdownToHTML(content);
+  }
+
   const url = formatURL('source', org, repo, path, ext);
   const body = new FormData();
   const type = ext === 'html' ? 'text/html' : 'application/json';
@@ -71,21 +119,126 @@ async function deleteSource(org, repo, path, ext) {
     method: 'DELETE'
   });
   return daAdminResponseFormat(data);
-} 
+}
+
+function buildDestinationField(org, repo, path) {
+  return `/${org}/${repo}${cleanSitePath(path)}`;
+}
+
+async function transferFile(api, org, repo, sourcePath, destinationPath) {
+  const url = formatURL(api, org, repo, sourcePath);
+  const body = new FormData();
+  body.append('destination', buildDestinationField(org, repo, destinationPath));
+
+  return daAdminRequest(url, {
+    method: 'POST',
+    body
+  });
+}
+
+async function collectTransferFiles(org, repo, path, ext, destination) {
+  if (ext) {
+    return [{
+      source: `${cleanSitePath(path)}.${ext}`,
+      destination: `${cleanSitePath(destination)}.${ext}`
+    }];
+  }
+
+  const sourceFolder = cleanSitePath(path);
+  const destinationFolder = cleanSitePath(destination);
+  const files = await listFilesRecursive(org, repo, sourceFolder);
+
+  return files.map(file => ({
+    source: file.path,
+    destination: `${destinationFolder}${file.path.slice(sourceFolder.length)}`
+  }));
+}
+
+async function transferSource(api, org, repo, path, ext, destination, preview = false) {
+  const result = {
+    source: path,
+    destination,
+    preview,
+    summary: {
+      total: 0,
+      succeeded: 0,
+      failed: 0
+    },
+    files: [],
+    errors: []
+  };
+
+  if (cleanSitePath(path) === cleanSitePath(destination)) {
+    result.errors.push('Source and destination are the same path');
+    result.success = false;
+    return result;
+  }
+
+  if (!ext && cleanSitePath(destination).startsWith(`${cleanSitePath(path)}/`)) {
+    result.errors.push('Destination folder cannot be inside the source folder');
+    result.success = false;
+    return result;
+  }
+
+  let files;
+  try {
+    files = await collectTransferFiles(org, repo, path, ext, destination);
+  } catch (error) {
+    result.errors.push(`Failed to list source: ${error.message}`);
+    result.success = false;
+    return result;
+  }
+
+  result.summary.total = files.length;
+
+  for (const file of files) {
+    if (preview) {
+      result.files.push({ ...file, status: 'planned' });
+      continue;
+    }
+
+    try {
+      await transferFile(api, org, repo, file.source, file.destination);
+      result.files.push({ ...file, status: 'completed' });
+      result.summary.succeeded++;
+    } catch (error) {
+      result.files.push({ ...file, status: 'failed', error: error.message });
+      result.summary.failed++;
+      result.errors.push(`${file.source}: ${error.message}`);
+    }
+  }
+
+  result.success = result.summary.failed === 0;
+  return result;
+}
+
+async function moveSource(org, repo, path, ext, destination, preview, redirects) {
+  const result = await transferSource('move', org, repo, path, ext, destination, preview);
+  if (!redirects) return result;
+
+  const moved = result.files.filter(file => file.status === 'completed' || file.status === 'planned');
+  try {
+    result.redirects = await addMoveRedirects(org, repo, moved, preview);
+  } catch (error) {
+    result.errors.push(`Failed to update redirects: ${error.message}`);
+    result.success = false;
+  }
+  return result;
+}
 
 export const tools = [{
   name: "da_admin_get_source",
-  description: "Get source content from an organization: can be an html file or a json file",
+  description: "Get source content from an organization: can be an html file or a json file. Html files can also be returned as markdown or plain text",
   schema: GetSourceSchema,
   handler: async (args) => {
-    return getSource(args.org, args.repo, args.path, args.ext);
+    return getSource(args.org, args.repo, args.path, args.ext, args.format);
   }
 }, {
   name: "da_admin_create_source",
-  description: "Create source content within an organization: can be an html file or a json file",
+  description: "Create or update source content within an organization: can be an html file or a json file. Html files can be written as markdown",
   schema: CreateSourceSchema,
   handler: async (args) => {
-    return createSource(args.org, args.repo, args.path, args.ext, args.content);
+    return createSource(args.org, args.repo, args.path, args.ext, args.content, args.format);
   }
 }, {
   name: "da_admin_delete_source",
@@ -94,4 +247,18 @@ export const tools = [{
   handler: async (args) => {
     return deleteSource(args.org, args.repo, args.path, args.ext);
   }
+}, {
+  name: "da_admin_copy_source",
+  description: "Copy a file or a whole folder to a new path within an organization. Reports per-file results. Use preview=true to list the files that would be copied",
+  schema: TransferSourceSchema,
+  handler: async (args) => {
+    return transferSource('copy', args.org, args.repo, args.path, args.ext, args.destination, args.preview);
+  }
+}, {
+  name: "da_admin_move_source",
+  description: "Move or rename a file or a whole folder within an organization. Reports per-file results. Use preview=true to list the files that would be moved. Set redirects=true to add redirects from the old page URLs",
+  schema: MoveSourceSchema,
+  handler: async (args) => {
+    return moveSource(args.org, args.repo, args.path, args.ext, args.destination, args.preview, args.redirects);
+  }
 }];
\ No newline at end of file
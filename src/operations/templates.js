@@ -3,9 +3,10 @@
 import { z } from 'zod';
 import { daAdminRequest, formatURL, uploadHTML } from '../common/utils.js';
 import { buildLibraryPath, buildContentUrl, createLibraryJSON } from '../common/library-cfg-utils.js';
-import { listSheetItems, addSheetItem, removeSheetItem } from '../common/sheet-utils.js';
+import { listSheetItems, addSheetItem, removeSheetItem, setupSheetItems } from '../common/sheet-utils.js';
 import { LIBRARY_TYPES } from '../common/global.js';
 import { registerLibraryType } from './config.js';
+import { previewPaths } from '../common/aem-utils.js';
 
 const ListTemplatesSchema = z.object({
   org: z.string().describe('The organization name'),
@@ -19,7 +20,8 @@ const AddTemplateSchema = z.object({
   templateName: z.string().describe('The template name (e.g., "Blog Template")'),
   sourcePage: z.string().describe('Source page path to copy content from (e.g., /ue-editor/demo)'),
   baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)'),
-  preview: z.boolean().optional().default(false).describe('Preview mode (default: false)')
+  preview: z.boolean().optional().default(false).describe('Preview mode (default: false)'),
+  publish: z.boolean().optional().default(false).describe('Preview the template documents and templates.json through the AEM admin API after saving (default: false)')
 });
 
 const RemoveTemplateSchema = z.object({
@@ -37,15 +39,16 @@ const SetupTemplatesSchema = z.object({
     sourcePage: z.string().describe('Source page path')
   })).describe('Array of templates to create'),
   baseFolder: z.string().optional().default('library').describe('Base folder for library (default: library)'),
-  preview: z.boolean().optional().default(false).describe('Preview mode (default: false)')
+  preview: z.boolean().optional().default(false).describe('Preview mode (default: false)'),
+  publish: z.boolean().optional().default(false).describe('Preview the template documents and templates.json through the AEM admin API after saving (default: false)')
 });
 
 function getTemplatesPath(baseFolder) {
   return buildLibraryPath(LIBRARY_TYPES.TEMPLATES, baseFolder);
 }
 
-function createTemplatesJSON(entries) {
-  return createLibraryJSON(LIBRARY_TYPES.TEMPLATES, entries);
+function createTemplatesJSON(entries, existing = null) {
+  return createLibraryJSON(LIBRARY_TYPES.TEMPLATES, entries, null, existing);
 }
 
 function createTemplateSlug(templateName) {
@@ -70,7 +73,13 @@ async function uploadHTMLContent(org, repo, path, htmlContent) {
   return uploadHTML(url, htmlContent);
 }
 
-async function addTemplate(org, repo, templateName, sourcePage, baseFolder = 'library', preview = false) {
+function createTemplateEntry(template) {
+  return { key: template.name, value: template.docUrl };
+}
+
+// Copies the source page into the library. Returns the result with steps 1-2
+// filled in, or null as htmlContent when the copy failed.
+async function createTemplateDocument(org, repo, templateName, sourcePage, baseFolder, preview) {
   const result = {
     templateName,
     sourcePage,
@@ -80,42 +89,59 @@ async function addTemplate(org, repo, templateName, sourcePage, baseFolder = 'li
     errors: []
   };
 
-  try {
-    result.steps.push({ step: 1, action: 'Fetching source page content', status: preview ? 'planned' : 'in_progress' });
+  result.steps.push({ step: 1, action: 'Fetching source page content', status: preview ? 'planned' : 'in_progress' });
 
-    let htmlContent = null;
-    if (!preview) {
-      try {
-        htmlContent = await fetchPageContent(org, repo, sourcePage);
-        result.steps[0].status = 'completed';
-        result.steps[0].sourceLength = htmlContent.length;
-      } catch (error) {
-        result.errors.push(`Failed to fetch source page: ${error.message}`);
-        result.steps[0].status = 'failed';
-        result.steps[0].error = error.message;
-        return result;
-      }
-    } else {
-      result.steps[0].status = 'planned';
+  if (!preview) {
+    try {
+      const htmlContent = await fetchPageContent(org, repo, sourcePage);
+      result.steps[0].status = 'completed';
+      result.steps[0].sourceLength = htmlContent.length;
+      result.htmlContent = htmlContent;
+    } catch (error) {
+      result.errors.push(`Failed to fetch source page: ${error.message}`);
+      result.steps[0].status = 'failed';
+      result.steps[0].error = error.message;
+      result.success = false;
+      return result;
     }
+  }
 
-    const templateSlug = createTemplateSlug(templateName);
-    const docPath = buildLibraryPath(LIBRARY_TYPES.TEMPLATES, baseFolder, templateSlug);
-    const docUrl = buildContentUrl(org, repo, docPath);
+  const templateSlug = createTemplateSlug(templateName);
+  const docPath = buildLibraryPath(LIBRARY_TYPES.TEMPLATES, baseFolder, templateSlug);
+  const docUrl = buildContentUrl(org, repo, docPath);
 
-    result.steps.push({ 
-      step: 2, 
-      action: preview ? 'Would create template document' : 'Creating template document',
-      status: preview ? 'planned' : 'in_progress',
-      docPath,
-      docUrl
-    });
+  result.steps.push({ 
+    step: 2, 
+    action: preview ? 'Would create template document' : 'Creating template document',
+    status: preview ? 'planned' : 'in_progress',
+    docPath,
+    docUrl
+  });
 
-    if (!preview) {
-      await uploadHTMLContent(org, repo, docPath, htmlContent);
+  if (!preview) {
+    try {
+      await uploadHTMLContent(org, repo, docPath, result.htmlContent);
       result.steps[1].status = 'completed';
+    } catch (error) {
+      result.errors.push(`Failed to create template document: ${error.message}`);
+      result.steps[1].status = 'failed';
+      result.steps[1].error = error.message;
+      result.success = false;
     }
+  }
+
+  delete result.htmlContent;
+  result.docPath = docPath;
+  result.docUrl = docUrl;
+  if (result.success === undefined) result.success = true;
+  return result;
+}
 
+async function addTemplate(org, repo, templateName, sourcePage, baseFolder = 'library', preview = false) {
+  const result = await createTemplateDocument(org, repo, templateName, sourcePage, baseFolder, preview);
+  if (!result.success) return result;
+
+  try {
     result.steps.push({ 
       step: 3, 
       action: preview ? 'Would add to templates.json' : 'Adding to templates.json',
@@ -123,16 +149,19 @@ async function addTemplate(org, repo, templateName, sourcePage, baseFolder = 'li
     });
 
     if (!preview) {
-      const entry = { key: templateName, value: docUrl };
       const addResult = await addSheetItem(
         org,
         repo,
-        entry,
+        createTemplateEntry({ name: templateName, docUrl: result.docUrl }),
         'key',
         getTemplatesPath(baseFolder),
         createTemplatesJSON
       );
 
+      if (!addResult.added) {
+        throw new Error(addResult.error);
+      }
+
       result.steps[2].status = 'completed';
       result.steps[2].existed = addResult.existed;
       
@@ -143,18 +172,18 @@ async function addTemplate(org, repo, templateName, sourcePage, baseFolder = 'li
       result.alreadyRegistered = regResult.existed;
     }
 
-    result.success = true;
-    result.docPath = docPath;
-    result.docUrl = docUrl;
     return result;
 
   } catch (error) {
+    result.steps[result.steps.length - 1].status = 'failed';
     result.errors.push(error.message);
     result.success = false;
     return result;
   }
 }
 
+// Creates the template documents one by one, then adds all of them to
+// templates.json in a single write and registers Templates once.
 async function setupTemplates(org, repo, templates, baseFolder = 'library', preview = false) {
   const result = {
     baseFolder,
@@ -169,7 +198,7 @@ async function setupTemplates(org, repo, templates, baseFolder = 'library', prev
   };
 
   for (const template of templates) {
-    const templateResult = await addTemplate(
+    const templateResult = await createTemplateDocument(
       org,
       repo,
       template.name,
@@ -186,12 +215,46 @@ async function setupTemplates(org, repo, templates, baseFolder = 'library', prev
       docUrl: templateResult.docUrl,
       errors: templateResult.errors
     });
+  }
+
+  const ready = result.templates.filter(template => template.success);
+
+  if (!preview && ready.length > 0) {
+    const sheetResult = await setupSheetItems(
+      org,
+      repo,
+      ready,
+      'key',
+      getTemplatesPath(baseFolder),
+      createTemplatesJSON,
+      createTemplateEntry
+    );
+
+    sheetResult.items.forEach((item, index) => {
+      const template = ready[index];
+      if (item.success) {
+        template.existed = item.existed;
+      } else {
+        template.success = false;
+        template.errors.push(item.error);
+      }
+    });
 
-    if (templateResult.success) {
+    result.sheet = {
+      saved: sheetResult.saved,
+      added: sheetResult.summary.added,
+      updated: sheetResult.summary.updated,
+      ...(sheetResult.merged ? { merged: true } : {}),
+      ...(sheetResult.conflict ? { conflict: sheetResult.conflict } : {})
+    };
+  }
+
+  for (const template of result.templates) {
+    if (template.success) {
       result.summary.created++;
     } else {
       result.summary.failed++;
-      result.errors.push(...templateResult.errors);
+      result.errors.push(...template.errors.map(error => `${template.name}: ${error}`));
     }
   }
 
@@ -237,6 +300,14 @@ export const tools = [
         args.baseFolder,
         args.preview
       );
+
+      if (args.publish && result.success && !args.preview) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [
+          result.docPath,
+          `${getTemplatesPath(args.baseFolder)}.json`
+        ]);
+      }
+
       return buildResponse(args, result);
     }
   },
@@ -263,7 +334,7 @@ export const tools = [
   },
   {
     name: 'da_library_setup_templates',
-    description: 'Batch setup templates. Creates template documents from source pages and updates templates.json. Automatically registers in library. Use preview=true to see plan.',
+    description: 'Batch setup templates. Creates template documents from source pages and adds them to templates.json in a single write, reporting the result of each template. Automatically registers in library. Use preview=true to see plan.',
     schema: SetupTemplatesSchema,
     handler: async (args) => {
       const result = await setupTemplates(
@@ -273,6 +344,14 @@ export const tools = [
         args.baseFolder,
         args.preview
       );
+
+      if (args.publish && result.sheet?.saved) {
+        result.aemPreview = await previewPaths(args.org, args.repo, [
+          ...result.templates.filter(template => template.success).map(template => template.docPath),
+          `${getTemplatesPath(args.baseFolder)}.json`
+        ]);
+      }
+
       return buildResponse(args, result);
     }
   }
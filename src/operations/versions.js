@@ -0,0 +1,211 @@
+// src/operations/versions.js
+
+import { z } from 'zod';
+import { daAdminRequest, formatURL, uploadHTML, uploadJSON } from '../common/utils.js';
+import { ADMIN_API_URL } from '../common/global.js';
+
+const ListVersionsSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the source content'),
+  ext: z.string().optional().default('html').describe('The source content file extension: html or json (default: html)'),
+  includeAudit: z.boolean().optional().default(false).describe('Also include audit entries (edits that have no stored version content) (default: false)')
+});
+
+const GetVersionSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the source content'),
+  ext: z.string().optional().default('html').describe('The source content file extension: html or json (default: html)'),
+  versionId: z.string().describe('Version id as returned by da_admin_list_versions')
+});
+
+const CreateVersionSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the source content'),
+  ext: z.string().optional().default('html').describe('The source content file extension: html or json (default: html)'),
+  label: z.string().optional().describe('Optional label for the version (e.g., "Before template update")')
+});
+
+const RestoreVersionSchema = z.object({
+  org: z.string().describe('The organization'),
+  repo: z.string().describe('Name of the repository'),
+  path: z.string().describe('Path to the source content'),
+  ext: z.string().optional().default('html').describe('The source content file extension: html or json (default: html)'),
+  versionId: z.string().describe('Version id as returned by da_admin_list_versions'),
+  snapshotCurrent: z.boolean().optional().default(true).describe('Save the current content as a new version before restoring (default: true)'),
+  preview: z.boolean().optional().default(false).describe('Preview mode (default: false)')
+});
+
+function getVersionId(url) {
+  if (!url) return null;
+  return url.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+function toVersionEntry(item) {
+  return {
+    versionId: getVersionId(item.url),
+    label: item.label || null,
+    timestamp: item.timestamp,
+    date: item.timestamp ? new Date(item.timestamp).toISOString() : null,
+    users: (item.users || []).map(user => user.email).filter(Boolean),
+    url: item.url || null
+  };
+}
+
+async function fetchVersionList(org, repo, path, ext) {
+  const url = formatURL('versionlist', org, repo, path, ext);
+  const result = await daAdminRequest(url);
+  return Array.isArray(result) ? result : [];
+}
+
+async function listVersions(org, repo, path, ext, includeAudit = false) {
+  const items = await fetchVersionList(org, repo, path, ext);
+  const entries = items
+    .map(toVersionEntry)
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+  const versions = entries.filter(entry => entry.url);
+
+  return {
+    path,
+    ext,
+    totalVersions: versions.length,
+    versions: includeAudit ? entries : versions,
+    auditEntries: entries.length - versions.length
+  };
+}
+
+async function findVersion(org, repo, path, ext, versionId) {
+  const items = await fetchVersionList(org, repo, path, ext);
+  const item = items.find(entry => getVersionId(entry.url) === versionId);
+
+  if (!item) {
+    throw new Error(`Version '${versionId}' not found for ${path}.${ext}`);
+  }
+
+  return toVersionEntry(item);
+}
+
+async function fetchVersionContent(version) {
+  return daAdminRequest(`${ADMIN_API_URL}${version.url}`);
+}
+
+export async function getVersion(org, repo, path, ext, versionId) {
+  const version = await findVersion(org, repo, path, ext, versionId);
+  const content = await fetchVersionContent(version);
+
+  return {
+    path,
+    ext,
+    version,
+    content
+  };
+}
+
+export async function createVersion(org, repo, path, ext = 'html', label = null) {
+  const url = formatURL('versionsource', org, repo, path, ext);
+  const data = await daAdminRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(label ? { label } : {})
+  });
+
+  return {
+    created: true,
+    path,
+    ext,
+    label,
+    data
+  };
+}
+
+async function restoreVersion(org, repo, path, ext, versionId, snapshotCurrent = true, preview = false) {
+  const result = {
+    path,
+    ext,
+    versionId,
+    preview,
+    steps: [],
+    errors: []
+  };
+
+  try {
+    result.steps.push({ step: 1, action: 'Fetching version content', status: 'in_progress' });
+
+    const version = await findVersion(org, repo, path, ext, versionId);
+    const content = await fetchVersionContent(version);
+
+    result.steps[0].status = 'completed';
+    result.steps[0].version = version;
+
+    if (snapshotCurrent) {
+      result.steps.push({
+        step: 2,
+        action: preview ? 'Would save current content as a version' : 'Saving current content as a version',
+        status: preview ? 'planned' : 'in_progress'
+      });
+
+      if (!preview) {
+        await createVersion(org, repo, path, ext, `Before restore of ${versionId}`);
+        result.steps[1].status = 'completed';
+      }
+    }
+
+    const uploadStep = {
+      step: result.steps.length + 1,
+      action: preview ? 'Would restore version over current source' : 'Restoring version over current source',
+      status: preview ? 'planned' : 'in_progress'
+    };
+    result.steps.push(uploadStep);
+
+    if (!preview) {
+      const url = formatURL('source', org, repo, path, ext);
+      if (ext === 'json') {
+        await uploadJSON(url, typeof content === 'string' ? JSON.parse(content) : content);
+      } else {
+        await uploadHTML(url, content);
+      }
+      uploadStep.status = 'completed';
+    }
+
+    result.success = true;
+    return result;
+
+  } catch (error) {
+    result.errors.push(error.message);
+    result.success = false;
+    return result;
+  }
+}
+
+export const tools = [{
+  name: "da_admin_list_versions",
+  description: "List the saved versions of a document (newest first). Each version has a versionId usable with da_admin_get_version and da_admin_restore_version",
+  schema: ListVersionsSchema,
+  handler: async (args) => {
+    return listVersions(args.org, args.repo, args.path, args.ext, args.includeAudit);
+  }
+}, {
+  name: "da_admin_get_version",
+  description: "Get the content of a previous version of a document",
+  schema: GetVersionSchema,
+  handler: async (args) => {
+    return getVersion(args.org, args.repo, args.path, args.ext, args.versionId);
+  }
+}, {
+  name: "da_admin_create_version",
+  description: "Save the current content of a document as a labelled version. Use before running tools that overwrite documents",
+  schema: CreateVersionSchema,
+  handler: async (args) => {
+    return createVersion(args.org, args.repo, args.path, args.ext, args.label);
+  }
+}, {
+  name: "da_admin_restore_version",
+  description: "Restore a previous version of a document over its current source. Saves the current content as a version first unless snapshotCurrent=false. Use preview=true to see plan",
+  schema: RestoreVersionSchema,
+  handler: async (args) => {
+    return restoreVersion(args.org, args.repo, args.path, args.ext, args.versionId, args.snapshotCurrent, args.preview);
+  }
+}];
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSheetStructure } from '../src/common/diff-utils.js';
+
+const single = rows => ({ total: rows.length, limit: rows.length, offset: 0, data: rows, ':type': 'sheet' });
+
+test('diffSheetStructure: identical sheets are unchanged', () => {
+  const sheet = single([{ Key: 'a', Text: '1' }]);
+  const { sheets, warnings } = diffSheetStructure(sheet, structuredClone(sheet));
+
+  assert.equal(sheets.data.status, 'unchanged');
+  assert.deepEqual(warnings, []);
+});
+
+test('diffSheetStructure: rows added, removed and changed, keyed on the first column', () => {
+  const before = single([{ Key: 'a', Text: '1' }, { Key: 'b', Text: '2' }]);
+  const after = single([{ Key: 'c', Text: '3', New: 'n' }, { Key: 'a', Text: 'x', New: '' }]);
+  const { data } = diffSheetStructure(before, after).sheets;
+
+  assert.equal(data.status, 'changed');
+  assert.equal(data.keyColumn, 'Key');
+  assert.deepEqual(data.columns, { added: ['New'], removed: [] });
+  assert.deepEqual(data.added.map(row => row.key), ['c']);
+  assert.deepEqual(data.removed.map(row => row.key), ['b']);
+  assert.deepEqual(data.changed, [{
+    key: 'a',
+    changes: { Text: { before: '1', after: 'x' }, New: { before: null, after: '' } }
+  }]);
+});
+
+test('diffSheetStructure: sheets added to a multi-sheet document', () => {
+  const before = single([{ name: 'cards' }]);
+  const after = {
+    ':names': ['data', 'options'],
+    ':version': 3,
+    ':type': 'multi-sheet',
+    data: { data: [{ name: 'cards' }] },
+    options: { data: [{ key: 'style' }] }
+  };
+  const { sheets } = diffSheetStructure(before, after);
+
+  assert.equal(sheets.data.status, 'unchanged');
+  assert.deepEqual(sheets.options, { status: 'added', rows: 1 });
+});
+
+test('diffSheetStructure: unknown key column falls back to row position with a warning', () => {
+  const { sheets, warnings } = diffSheetStructure(single([{ a: '1' }]), single([{ a: '2' }]), 'Missing');
+
+  assert.equal(sheets.data.changed.length, 1);
+  assert.match(warnings[0], /key column 'Missing' not found/);
+});
+
+test('diffSheetStructure: duplicate keys are reported', () => {
+  const sheet = single([{ Key: 'a', Text: '1' }, { Key: 'a', Text: '2' }]);
+  const { warnings } = diffSheetStructure(sheet, sheet);
+
+  assert.ok(warnings.some(warning => /duplicate key 'a'/.test(warning)));
+});
+
+test('diffSheetStructure: a missing document counts as no sheets', () => {
+  const { sheets } = diffSheetStructure(null, single([{ Key: 'a' }]));
+  assert.deepEqual(sheets.data, { status: 'added', rows: 1 });
+});
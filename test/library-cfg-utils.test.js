@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addEntry, removeEntry, updateSheetDocument, createLibraryJSON } from '../src/common/library-cfg-utils.js';
+
+const dataSheet = rows => ({ total: rows.length, limit: rows.length, offset: 0, data: rows });
+
+test('addEntry: a new entry gets the sheet columns, in sheet order', () => {
+  const sheet = addEntry(dataSheet([{ name: 'cards', path: '/cards', author: 'x' }]), { path: '/hero', name: 'hero' });
+
+  assert.deepEqual(sheet.data[1], { name: 'hero', path: '/hero', author: '' });
+  assert.deepEqual(Object.keys(sheet.data[1]), ['name', 'path', 'author']);
+  assert.equal(sheet.total, 2);
+});
+
+test('addEntry: re-adding an entry keeps the cells it does not set', () => {
+  const sheet = addEntry(
+    dataSheet([{ name: 'cards', path: '/old', author: 'x', notes: 'keep me' }, { name: 'hero', path: '/hero', author: '', notes: '' }]),
+    { path: '/new', name: 'cards' }
+  );
+
+  assert.deepEqual(sheet.data[0], { name: 'cards', path: '/new', author: 'x', notes: 'keep me' });
+  assert.deepEqual(Object.keys(sheet.data[0]), ['name', 'path', 'author', 'notes']);
+  assert.equal(sheet.data.length, 2);
+});
+
+test('addEntry: an explicit empty value clears a cell', () => {
+  const sheet = addEntry(dataSheet([{ name: 'cards', path: '/cards', author: 'x' }]), { name: 'cards', author: '' });
+  assert.deepEqual(sheet.data[0], { name: 'cards', path: '/cards', author: '' });
+});
+
+test('addEntry and removeEntry keep sheet properties', () => {
+  const base = { ...dataSheet([{ key: 'a' }]), ':colWidths': [100] };
+
+  assert.deepEqual(addEntry(structuredClone(base), { key: 'b' }, 'key')[':colWidths'], [100]);
+  const removed = removeEntry(base, 'a', 'key');
+  assert.deepEqual(removed.data, []);
+  assert.equal(removed.total, 0);
+  assert.deepEqual(removed[':colWidths'], [100]);
+});
+
+test('updateSheetDocument: rewriting a single sheet keeps document keys', () => {
+  const existing = { ...dataSheet([{ name: 'a' }]), ':type': 'sheet', ':private': { secret: 1 } };
+  const updated = updateSheetDocument(existing, { data: { data: [{ name: 'b' }] } });
+
+  assert.equal(updated[':type'], 'sheet');
+  assert.deepEqual(updated[':private'], { secret: 1 });
+  assert.deepEqual(updated.data, [{ name: 'b' }]);
+  assert.equal(updated.total, 1);
+});
+
+test('updateSheetDocument: adding a sheet makes the document multi-sheet', () => {
+  const existing = { ...dataSheet([{ name: 'a' }]), ':type': 'sheet' };
+  const updated = updateSheetDocument(existing, { options: { data: [{ key: 'k' }] } });
+
+  assert.equal(updated[':type'], 'multi-sheet');
+  assert.deepEqual(updated[':names'], ['data', 'options']);
+  assert.deepEqual(updated.data.data, [{ name: 'a' }]);
+  assert.deepEqual(updated.options.data, [{ key: 'k' }]);
+});
+
+test('updateSheetDocument: other sheets, sheet properties and :names order are kept', () => {
+  const existing = {
+    ':type': 'multi-sheet',
+    ':version': 3,
+    ':names': ['extra', 'data'],
+    extra: { ...dataSheet([{ x: '1' }]), custom: true },
+    data: { ...dataSheet([]), ':colWidths': [50] }
+  };
+  const updated = updateSheetDocument(existing, { data: { data: [{ name: 'a' }] }, added: { data: [] } });
+
+  assert.deepEqual(updated[':names'], ['extra', 'data', 'added']);
+  assert.deepEqual(updated.extra, existing.extra);
+  assert.deepEqual(updated.data[':colWidths'], [50]);
+  assert.deepEqual(updated.data.data, [{ name: 'a' }]);
+  assert.equal(updated[':version'], 3);
+});
+
+test('createLibraryJSON: an existing blocks.json keeps its sheets and gets options only when missing', () => {
+  const existing = {
+    ':type': 'multi-sheet',
+    ':version': 3,
+    ':names': ['data', 'extra'],
+    data: dataSheet([]),
+    extra: dataSheet([{ x: '1' }])
+  };
+  const updated = createLibraryJSON('blocks', [{ name: 'cards' }], null, existing);
+
+  assert.deepEqual(updated[':names'], ['data', 'extra', 'options']);
+  assert.deepEqual(updated.extra, existing.extra);
+  assert.ok(updated.options.data.length > 0);
+
+  const withOptions = createLibraryJSON('blocks', [], null, { ...updated, options: dataSheet([{ key: 'mine' }]) });
+  assert.deepEqual(withOptions.options.data, [{ key: 'mine' }]);
+});
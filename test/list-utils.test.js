@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, cleanSitePath, createFileMatcher } from '../src/common/list-utils.js';
+
+test('globToRegExp: * stays within a folder', () => {
+  const regex = globToRegExp('/blog/*.html');
+  assert.ok(regex.test('/blog/post.html'));
+  assert.ok(!regex.test('/blog/2024/post.html'));
+  assert.ok(!regex.test('/blog/post.json'));
+});
+
+test('globToRegExp: ** matches across folders, including none', () => {
+  const regex = globToRegExp('/blog/**/*.html');
+  assert.ok(regex.test('/blog/post.html'));
+  assert.ok(regex.test('/blog/2024/01/post.html'));
+  assert.ok(!regex.test('/news/post.html'));
+});
+
+test('globToRegExp: a trailing ** matches everything below', () => {
+  const regex = globToRegExp('/blog/**');
+  assert.ok(regex.test('/blog/a/b.json'));
+  assert.ok(!regex.test('/blogs/a.html'));
+});
+
+test('globToRegExp: ? and {a,b} groups', () => {
+  assert.ok(globToRegExp('/p?.html').test('/p1.html'));
+  assert.ok(!globToRegExp('/p?.html').test('/p/.html'));
+
+  const regex = globToRegExp('/data/*.{json,csv}');
+  assert.ok(regex.test('/data/a.json'));
+  assert.ok(regex.test('/data/a.csv'));
+  assert.ok(!regex.test('/data/a.html'));
+});
+
+test('globToRegExp: regex characters are literal', () => {
+  const regex = globToRegExp('/a+b/(c).html');
+  assert.ok(regex.test('/a+b/(c).html'));
+  assert.ok(!regex.test('/aab/c.html'));
+});
+
+test('cleanSitePath', () => {
+  assert.equal(cleanSitePath('/'), '');
+  assert.equal(cleanSitePath(''), '');
+  assert.equal(cleanSitePath('blog/'), '/blog');
+  assert.equal(cleanSitePath('//blog/2024//'), '/blog/2024');
+});
+
+test('createFileMatcher: files outside the walked folder never match', () => {
+  const isListed = createFileMatcher('/blog');
+  assert.ok(isListed({ path: '/blog/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/blogs/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/index.html', ext: 'html' }));
+});
+
+test('createFileMatcher: extension, glob and excluded folders', () => {
+  const isListed = createFileMatcher('/', {
+    extensions: ['.HTML'],
+    glob: '/blog/**',
+    excludeFolders: ['/blog/drafts', '**/.da']
+  });
+
+  assert.ok(isListed({ path: '/blog/2024/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/blog/a.json', ext: 'json' }));
+  assert.ok(!isListed({ path: '/news/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/blog/drafts/deep/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/blog/x/.da/a.html', ext: 'html' }));
+});
+
+test('createFileMatcher: only folders below the walked folder are checked against excludeFolders', () => {
+  // Like walkTree, which lists the start folder but prunes excluded subfolders
+  const isListed = createFileMatcher('/drafts', { excludeFolders: ['/drafts'] });
+  assert.ok(isListed({ path: '/drafts/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/drafts/sub/a.html', ext: 'html' }));
+});
+
+test('createFileMatcher: includeFolders, literal and glob', () => {
+  const isListed = createFileMatcher('/', { includeFolders: ['/news', 'blog/*/q'] });
+
+  assert.ok(isListed({ path: '/news/a.html', ext: 'html' }));
+  assert.ok(isListed({ path: '/blog/2024/q/a.html', ext: 'html' }));
+  assert.ok(isListed({ path: '/blog/2024/q/deep/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/blog/2024/a.html', ext: 'html' }));
+  assert.ok(!isListed({ path: '/newsroom/a.html', ext: 'html' }));
+});
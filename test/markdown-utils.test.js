@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown, markdownToHTML } from '../src/common/markdown-utils.js';
+
+const PAGE = '<body><header></header><main>'
+  + '<div><h1>Hello</h1><p>Intro <strong>bold</strong> and <a href="/x">link</a></p>'
+  + '<div class="cards wide"><div><div><p>One</p></div><div><p>Two</p></div></div></div>'
+  + '<div class="section-metadata"><div><div>style</div><div>dark</div></div></div></div>'
+  + '<div><p>Second</p>'
+  + '<div class="metadata"><div><div>Title</div><div>My Page</div></div></div></div>'
+  + '</main><footer></footer></body>';
+
+test('htmlToMarkdown writes blocks as tables and sections as ---', () => {
+  const markdown = htmlToMarkdown(PAGE);
+
+  assert.match(markdown, /^# Hello\n\nIntro \*\*bold\*\* and \[link\]\(\/x\)\n/);
+  assert.match(markdown, /\| Cards \(wide\) \| {2}\|\n\| --- \| --- \|\n\| <p>One<\/p> \| <p>Two<\/p> \|/);
+  assert.match(markdown, /\n---\n/);
+  assert.match(markdown, /\| Metadata \| {2}\|\n\| --- \| --- \|\n\| Title \| My Page \|/);
+});
+
+test('markdownToHTML(htmlToMarkdown(html)) gives back the page', () => {
+  assert.equal(markdownToHTML(htmlToMarkdown(PAGE)), PAGE);
+});
+
+test('markdown round-trips through HTML', () => {
+  const markdown = [
+    '# Title',
+    '',
+    'Some _em_ and **strong** and `code` and [a link](/path).',
+    '',
+    '- one',
+    '- two',
+    '',
+    '1. first',
+    '2. second',
+    '',
+    '![alt text](/media/x.png)',
+    '',
+    '| Columns (two) |  |',
+    '| --- | --- |',
+    '| a | b |',
+    '',
+    '---',
+    '',
+    'Next section with 5 \\* literal',
+    ''
+  ].join('\n');
+
+  const html = markdownToHTML(markdown);
+  assert.match(html, /<div class="columns two"><div><div>a<\/div><div>b<\/div><\/div><\/div><\/div><div><p>Next section/);
+  assert.match(html, /<img src="\/media\/x.png" alt="alt text">/);
+  assert.match(html, /with 5 \* literal/);
+  assert.equal(htmlToMarkdown(html), markdown);
+});
+
+test('markdown special characters in text are escaped', () => {
+  const html = '<body><header></header><main><div><p>2 * 3 and [not a link](x)</p></div></main><footer></footer></body>';
+  const markdown = htmlToMarkdown(html);
+
+  assert.equal(markdown, '2 \\* 3 and \\[not a link\\](x)\n');
+  assert.equal(markdownToHTML(markdown), html);
+});
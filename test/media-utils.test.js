@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractMediaReferences, getMediaHash, getMediaName, getMediaFileType, MISSING_ALT } from '../src/common/media-utils.js';
+
+const page = body => `<body><header></header><main><div>${body}</div></main><footer></footer></body>`;
+const extract = body => extractMediaReferences(page(body), '/blog/post.html', url => new URL(url, 'https://content.da.live/o/r/blog/post').href);
+
+test('extractMediaReferences: images keep alt text, missing and decorative apart', () => {
+  const refs = extract('<p><img src="/media/a.png" alt="A"></p><p><img src="/media/b.jpg"></p><p><img src="/media/c.svg" alt=""></p>');
+
+  assert.deepEqual(refs.map(ref => [ref.url, ref.alt, ref.type]), [
+    ['https://content.da.live/media/a.png', 'A', 'img > png'],
+    ['https://content.da.live/media/b.jpg', MISSING_ALT, 'img > jpg'],
+    ['https://content.da.live/media/c.svg', '', 'img > svg']
+  ]);
+  assert.ok(refs.every(ref => ref.doc === '/blog/post.html'));
+});
+
+test('extractMediaReferences: picture counts its img once', () => {
+  const refs = extract('<picture><source srcset="./media_abc12345.png?width=2000"><img src="./media_abc12345.png?width=750" alt="Hero"></picture>');
+
+  assert.equal(refs.length, 1);
+  assert.equal(refs[0].name, 'media_abc12345.png');
+  assert.equal(refs[0].hash, 'abc12345');
+});
+
+test('extractMediaReferences: videos, PDF and video links, fragments', () => {
+  const refs = extract([
+    '<video><source src="https://cdn.test/clip.mp4"></video>',
+    '<p><a href="/docs/guide.pdf">The guide</a></p>',
+    '<p><a href="/about">About</a></p>',
+    '<p><a href="/fragments/banner">banner</a></p>',
+    '<div class="fragment"><div><div><a href="/shared/promo">promo</a></div></div></div>'
+  ].join(''));
+
+  assert.deepEqual(refs.map(ref => [ref.type, ref.alt]), [
+    ['video > mp4', ''],
+    ['document > pdf', 'The guide'],
+    ['fragment', ''],
+    ['fragment', '']
+  ]);
+});
+
+test('getMediaHash: DA media names give their hash, other URLs a stable one', () => {
+  assert.equal(getMediaHash('https://x/media_1A2B3C4D5E.png?width=750'), '1a2b3c4d5e');
+  assert.equal(getMediaHash('https://x/logo.svg?v=1'), getMediaHash('https://X/LOGO.svg'));
+  assert.notEqual(getMediaHash('https://x/a.svg'), getMediaHash('https://x/b.svg'));
+});
+
+test('getMediaName and getMediaFileType', () => {
+  assert.equal(getMediaName('https://x/media/my%20file.png?width=1'), 'my file.png');
+  assert.equal(getMediaName('https://x/bad%E0.png'), 'bad%E0.png');
+  assert.equal(getMediaFileType('/media/a.WEBP'), 'img > webp');
+  assert.equal(getMediaFileType('/media/a.mov'), 'video > mov');
+  assert.equal(getMediaFileType('/docs/a.pdf'), 'document > pdf');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePage, serializePage, updatePageMetadata } from '../src/common/page-model.js';
+
+const PAGE = '<body><header></header><main>'
+  + '<div><h1>Hello</h1><p>Intro <strong>bold</strong> and <a href="/x">link</a></p>'
+  + '<div class="cards wide"><div><div><p>One</p></div><div><p>Two</p></div></div></div>'
+  + '<div class="section-metadata"><div><div>style</div><div>dark</div></div></div></div>'
+  + '<div><p>Second</p>'
+  + '<div class="metadata"><div><div>Title</div><div>My Page</div></div><div><div>Tags</div><div>a, b</div></div></div></div>'
+  + '</main><footer></footer></body>';
+
+test('parsePage reads sections, blocks, section metadata and page metadata', () => {
+  const model = parsePage(PAGE);
+
+  assert.deepEqual(model.metadata, { Title: 'My Page', Tags: 'a, b' });
+  assert.equal(model.sections.length, 2);
+  assert.deepEqual(model.sections[0].metadata, { style: 'dark' });
+  assert.deepEqual(model.sections[0].content[1], {
+    type: 'block',
+    name: 'cards',
+    variants: ['wide'],
+    rows: [['<p>One</p>', '<p>Two</p>']]
+  });
+  assert.deepEqual(model.sections[1].content, [{ type: 'default', html: '<p>Second</p>' }]);
+});
+
+test('serializePage(parsePage(html)) gives back the page', () => {
+  const model = parsePage(PAGE);
+  const html = serializePage(model);
+
+  assert.equal(html, PAGE);
+  assert.deepEqual(parsePage(html), model);
+});
+
+test('a metadata block in its own section round-trips', () => {
+  const page = '<body><header></header><main><div><p>Text</p></div>'
+    + '<div><div class="metadata"><div><div>Title</div><div>T</div></div></div></div></main><footer></footer></body>';
+  const model = parsePage(page);
+
+  assert.equal(model.separateMetadataSection, true);
+  assert.equal(model.sections.length, 1);
+  assert.equal(serializePage(model), page);
+});
+
+test('updatePageMetadata only touches the changed rows', () => {
+  const { html, changes } = updatePageMetadata(PAGE, { Title: 'New', Tags: null, Image: '/a.png' });
+
+  assert.deepEqual(parsePage(html).metadata, { Title: 'New', Image: '/a.png' });
+  assert.deepEqual(changes.map(change => change.action), ['updated', 'removed', 'added']);
+  assert.ok(html.startsWith(PAGE.slice(0, PAGE.indexOf('<div class="metadata">'))));
+});
+
+test('updatePageMetadata creates the block when the page has none', () => {
+  const page = '<body><header></header><main><div><p>Text</p></div></main><footer></footer></body>';
+  const { html, blockCreated } = updatePageMetadata(page, { Title: 'T' });
+
+  assert.equal(blockCreated, true);
+  assert.deepEqual(parsePage(html).metadata, { Title: 'T' });
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTemplateOption } from '../src/operations/pages.js';
+
+const sheet = (...rows) => ({ data: rows });
+
+test('findTemplateOption: ALL and lists naming metadata apply', () => {
+  assert.equal(findTemplateOption(sheet({ key: 'template', blocks: 'ALL', values: 'a' }))?.values, 'a');
+  assert.equal(findTemplateOption(sheet({ key: 'template', blocks: 'metadata', values: 'b' }))?.values, 'b');
+  assert.equal(findTemplateOption(sheet({ key: 'template', blocks: 'cards, metadata ', values: 'c' }))?.values, 'c');
+});
+
+test('findTemplateOption: section-metadata options do not apply to page metadata', () => {
+  const options = sheet(
+    { key: 'template', blocks: 'section-metadata', values: 'section' },
+    { key: 'template', blocks: 'metadata', values: 'page' }
+  );
+
+  assert.equal(findTemplateOption(options).values, 'page');
+  assert.equal(findTemplateOption(sheet({ key: 'template', blocks: 'section-metadata', values: 'x' })), null);
+});
+
+test('findTemplateOption: other keys and missing sheets', () => {
+  assert.equal(findTemplateOption(sheet({ key: 'style', blocks: 'ALL', values: 'x' })), null);
+  assert.equal(findTemplateOption(null), null);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDriftState } from '../src/operations/publish.js';
+
+// DA lists lastModified in milliseconds, AEM reports HTTP dates (whole seconds)
+const SOURCE = Date.parse('2026-03-01T10:00:00.000Z') + 734;
+const httpDate = time => new Date(time).toUTCString();
+const state = time => ({ status: 200, sourceLastModified: httpDate(time) });
+
+test('getDriftState: built from the current source is up-to-date despite the millisecond difference', () => {
+  assert.equal(getDriftState(SOURCE, state(SOURCE), state(SOURCE)).state, 'up-to-date');
+  assert.equal(getDriftState(new Date(SOURCE).toISOString(), state(SOURCE), state(SOURCE + 5000)).state, 'up-to-date');
+});
+
+test('getDriftState: no live version is never-published', () => {
+  assert.equal(getDriftState(SOURCE, state(SOURCE), null).state, 'never-published');
+  assert.equal(getDriftState(SOURCE, null, { status: 404 }).state, 'never-published');
+});
+
+test('getDriftState: a source edited after the preview is stale-preview', () => {
+  assert.equal(getDriftState(SOURCE + 1000, state(SOURCE), state(SOURCE)).state, 'stale-preview');
+  assert.equal(getDriftState(SOURCE, null, state(SOURCE)).state, 'stale-preview');
+});
+
+test('getDriftState: a current preview that was not published is stale-live', () => {
+  assert.equal(getDriftState(SOURCE + 1000, state(SOURCE + 1000), state(SOURCE)).state, 'stale-live');
+});
+
+test('getDriftState: falls back to lastModified when sourceLastModified is missing', () => {
+  const old = { status: 200, lastModified: httpDate(SOURCE - 60000) };
+  assert.equal(getDriftState(SOURCE, old, old).state, 'stale-preview');
+});
+
+test('getDriftState: times are reported to the second', () => {
+  const { sourceTime, previewTime } = getDriftState(SOURCE, state(SOURCE), state(SOURCE));
+  assert.equal(sourceTime, SOURCE - 734);
+  assert.equal(previewTime, sourceTime);
+});
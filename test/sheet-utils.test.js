@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateWithRetry, entryConflict } from '../src/common/sheet-utils.js';
+import { addEntry } from '../src/common/library-cfg-utils.js';
+
+const sheet = rows => ({ total: rows.length, limit: rows.length, offset: 0, data: rows, ':type': 'sheet' });
+
+// A stored document that another editor can change between reads
+function createStore(initial, concurrentEdits = []) {
+  const store = { content: initial, reads: 0, writes: [] };
+  store.read = async () => {
+    store.reads++;
+    const edit = concurrentEdits.shift();
+    if (edit) store.content = edit(store.content);
+    return structuredClone(store.content);
+  };
+  store.write = async (content) => {
+    store.writes.push(content);
+    store.content = content;
+  };
+  return store;
+}
+
+const addRow = row => content => addEntry(content, row, 'key');
+
+test('entryConflict: only changes to the edited keys conflict', () => {
+  const base = sheet([{ key: 'a', value: '1' }, { key: 'b', value: '2' }]);
+  const detect = entryConflict('key', ['a']);
+
+  assert.equal(detect(base, sheet([{ key: 'a', value: '1' }, { key: 'b', value: 'changed' }])), null);
+  assert.equal(detect(base, sheet([{ key: 'a', value: '1' }, { key: 'b', value: '2' }, { key: 'c', value: '3' }])), null);
+  assert.match(detect(base, sheet([{ key: 'a', value: 'changed' }, { key: 'b', value: '2' }])), /'a' changed by someone else/);
+  assert.match(detect(base, sheet([{ key: 'b', value: '2' }])), /'a'/);
+});
+
+test('updateWithRetry: writes once when nobody else edits', async () => {
+  const store = createStore(sheet([{ key: 'a', value: '1' }]));
+  const result = await updateWithRetry({ ...store, mutate: addRow({ key: 'b', value: '2' }) });
+
+  assert.deepEqual(result, { written: true, attempts: 1, merged: false });
+  assert.deepEqual(store.content.data.map(row => row.key), ['a', 'b']);
+});
+
+test('updateWithRetry: merges a concurrent edit to another entry', async () => {
+  // The second read (right before the write) sees a row added by someone else
+  const store = createStore(sheet([{ key: 'a', value: '1' }]), [
+    null,
+    content => addEntry(content, { key: 'other', value: 'x' }, 'key')
+  ]);
+  const result = await updateWithRetry({
+    ...store,
+    mutate: addRow({ key: 'b', value: '2' }),
+    detectConflict: entryConflict('key', ['b'])
+  });
+
+  assert.equal(result.written, true);
+  assert.equal(result.merged, true);
+  assert.deepEqual(store.content.data.map(row => row.key), ['a', 'other', 'b']);
+});
+
+test('updateWithRetry: reports a conflict on the same entry without writing', async () => {
+  const store = createStore(sheet([{ key: 'a', value: '1' }]), [
+    null,
+    content => addEntry(content, { key: 'a', value: 'theirs' }, 'key')
+  ]);
+  const result = await updateWithRetry({
+    ...store,
+    mutate: addRow({ key: 'a', value: 'mine' }),
+    detectConflict: entryConflict('key', ['a'])
+  });
+
+  assert.equal(result.written, false);
+  assert.match(result.conflict, /'a' changed/);
+  assert.deepEqual(store.writes, []);
+  assert.equal(store.content.data[0].value, 'theirs');
+});
+
+test('updateWithRetry: a mutate returning null skips the write', async () => {
+  const store = createStore(sheet([]));
+  const result = await updateWithRetry({ ...store, mutate: () => null });
+
+  assert.equal(result.written, false);
+  assert.deepEqual(store.writes, []);
+});
+
+test('updateWithRetry: gives up when the document keeps changing', async () => {
+  let version = 0;
+  const store = createStore(sheet([]));
+  store.read = async () => sheet([{ key: 'v', value: String(version++) }]);
+  const result = await updateWithRetry({ ...store, mutate: addRow({ key: 'b', value: '2' }) });
+
+  assert.equal(result.written, false);
+  assert.match(result.conflict, /kept changing/);
+  assert.deepEqual(store.writes, []);
+});